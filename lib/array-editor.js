@@ -0,0 +1,147 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {Emitter} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import {validateValue} from './schema-validator'
+import {renderValueControl, inferSchema, defaultValueForSchema} from './value-controls'
+
+// Edits an array setting as a list of rows that can be added, removed and
+// reordered. Each row gets inputs matching `schema.items`, or matching the
+// type of its current value when the schema does not describe the items.
+//
+// The value is only reported through `onDidChange` once every row is valid.
+export default class ArrayEditor {
+  constructor ({keyPath, schema, value, onDidChange}) {
+    this.keyPath = keyPath
+    this.schema = schema || {}
+    this.items = cloneItems(value)
+    this.errors = []
+    this.emitter = new Emitter()
+    if (onDidChange) this.onDidChange(onDidChange)
+    etch.initialize(this)
+
+    // SettingsPanel finds the editor through its element, like an atom-text-editor
+    this.element.getModel = () => this
+  }
+
+  destroy () {
+    this.emitter.dispose()
+    return etch.destroy(this)
+  }
+
+  // Called by etch when the editor is nested in another component, e.g. as the
+  // value of a MapEditor entry.
+  update ({value} = {}) {
+    if (value !== undefined) this.setValue(value)
+  }
+
+  render () {
+    return (
+      <div id={this.keyPath} className='array-editor native-key-bindings' tabIndex='-1'>
+        <ol ref='itemList' className='array-editor-items'>
+          {this.items.map((item, index) => this.renderItem(item, index))}
+        </ol>
+        <button ref='addButton' className='btn btn-xs icon icon-plus array-editor-add-button' onclick={() => { this.addItem() }}>
+          Add Item
+        </button>
+      </div>
+    )
+  }
+
+  renderItem (item, index) {
+    const error = this.errors[index]
+    return (
+      <li className={error ? 'array-editor-item has-error' : 'array-editor-item'}>
+        <div className='array-editor-item-control'>
+          {renderValueControl(item, this.getItemSchema(item), {
+            onChange: (value) => { this.setItem(index, value) },
+            onError: (error) => { this.setError(index, error) }
+          })}
+        </div>
+        <div className='btn-group btn-group-xs array-editor-item-buttons'>
+          <button
+            className='btn icon icon-arrow-up array-editor-move-up-button'
+            title='Move up'
+            disabled={index === 0}
+            onclick={() => { this.moveItem(index, -1) }} />
+          <button
+            className='btn icon icon-arrow-down array-editor-move-down-button'
+            title='Move down'
+            disabled={index === this.items.length - 1}
+            onclick={() => { this.moveItem(index, 1) }} />
+          <button
+            className='btn icon icon-x array-editor-remove-button'
+            title='Remove'
+            onclick={() => { this.removeItem(index) }} />
+        </div>
+        {error ? <div className='array-editor-error text-error'>{error}</div> : null}
+      </li>
+    )
+  }
+
+  getItemSchema (item) {
+    return this.schema.items || inferSchema(item)
+  }
+
+  // Returns the items that make up the setting's value. Rows that have not
+  // been filled in yet are left out.
+  getValue () {
+    return this.items.filter((item) => item !== undefined && item !== '')
+  }
+
+  // Shows the given value unless it is the value already being edited.
+  setValue (value) {
+    if (_.isEqual(cloneItems(value), this.getValue())) return
+
+    this.items = cloneItems(value)
+    this.errors = []
+    return etch.update(this)
+  }
+
+  setItem (index, value) {
+    this.items[index] = value
+    return this.didChangeItems()
+  }
+
+  setError (index, error) {
+    this.errors[index] = error
+    return etch.update(this)
+  }
+
+  addItem () {
+    this.items.push(defaultValueForSchema(this.schema.items || inferSchema(_.last(this.items))))
+    return this.didChangeItems()
+  }
+
+  removeItem (index) {
+    this.items.splice(index, 1)
+    return this.didChangeItems()
+  }
+
+  moveItem (index, offset) {
+    const newIndex = index + offset
+    if (newIndex < 0 || newIndex >= this.items.length) return
+
+    const [item] = this.items.splice(index, 1)
+    this.items.splice(newIndex, 0, item)
+    return this.didChangeItems()
+  }
+
+  didChangeItems () {
+    this.errors = this.items.map((item) => validateValue(item, this.getItemSchema(item)))
+    if (!this.errors.some((error) => error != null)) {
+      this.emitter.emit('did-change', this.getValue())
+    }
+    return etch.update(this)
+  }
+
+  onDidChange (callback) {
+    return this.emitter.on('did-change', callback)
+  }
+}
+
+function cloneItems (value) {
+  return _.isArray(value) ? value.map((item) => _.deepClone(item)) : []
+}
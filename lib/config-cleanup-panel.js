@@ -0,0 +1,173 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import {getOrphanedSettings, getNamespaceTitle, createRefreshScheduler} from './settings-utils'
+import settingsHistory from './settings-history'
+
+// Lists the keys of the user's config file that no schema describes so that
+// leftovers of uninstalled packages, renamed options and typos can be removed.
+export default class ConfigCleanupPanel {
+  constructor () {
+    this.orphanedSettings = getOrphanedSettings()
+    etch.initialize(this)
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.commands.add(this.element, {
+      'core:move-up': () => { this.scrollUp() },
+      'core:move-down': () => { this.scrollDown() },
+      'core:page-up': () => { this.pageUp() },
+      'core:page-down': () => { this.pageDown() },
+      'core:move-to-top': () => { this.scrollToTop() },
+      'core:move-to-bottom': () => { this.scrollToBottom() }
+    }))
+    this.refreshScheduler = createRefreshScheduler(this)
+    this.subscriptions.add(this.refreshScheduler)
+    this.subscriptions.add(atom.config.onDidChange(() => { this.refreshScheduler.schedule() }))
+    this.subscriptions.add(atom.packages.onDidActivatePackage(() => { this.refreshScheduler.schedule() }))
+    this.subscriptions.add(atom.packages.onDidUnloadPackage(() => { this.refreshScheduler.schedule() }))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  refresh () {
+    this.orphanedSettings = getOrphanedSettings()
+    return etch.update(this)
+  }
+
+  render () {
+    const settingsByNamespace = _.groupBy(this.orphanedSettings, 'namespace')
+    return (
+      <div tabIndex='0' className='panels-item config-cleanup-panel'>
+        <section className='section'>
+          <div className='section-container'>
+            <div className='section-heading icon icon-trashcan'>
+              Config Cleanup
+              <span ref='totalCount' className='section-heading-count badge badge-flexible'>{this.orphanedSettings.length}</span>
+            </div>
+            <div className='text native-key-bindings' tabIndex='-1'>
+              <span className='icon icon-question' />
+              These keys of your config file are not used by Atom or by any installed package. They usually belong to
+              uninstalled packages or to options that have been renamed.
+            </div>
+            <div className='btn-wrap-group'>
+              <button
+                ref='removeAllButton'
+                className='btn btn-default icon icon-trashcan'
+                disabled={this.orphanedSettings.length === 0}
+                onclick={() => { this.removeAll() }}>Remove All</button>
+            </div>
+            <div ref='noOrphanedSettingsMessage' className={this.orphanedSettings.length === 0 ? 'alert alert-info icon icon-check' : 'hidden'}>
+              Every key of your config file is in use.
+            </div>
+            {Object.keys(settingsByNamespace).sort().map((namespace) => this.renderNamespace(namespace, settingsByNamespace[namespace]))}
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  renderNamespace (namespace, orphanedSettings) {
+    const isUninstalled = orphanedSettings.every(({reason}) => reason === 'no-package')
+    return (
+      <section key={namespace} className='sub-section config-cleanup-namespace' dataset={{namespace}}>
+        <h3 className='sub-section-heading'>
+          {getNamespaceTitle(namespace)}
+          <span className='text-subtle'>{isUninstalled ? ' (not installed)' : ' (unknown settings)'}</span>
+          <button
+            className='btn btn-xs icon icon-trashcan config-cleanup-remove-namespace-button'
+            onclick={() => { this.removeSettings(orphanedSettings) }}>Remove</button>
+        </h3>
+        <table className='native-key-bindings table text config-cleanup-table' tabIndex='-1'>
+          <thead>
+            <tr>
+              <th className='key-path'>Key</th>
+              <th className='scope'>Scope</th>
+              <th className='value'>Value</th>
+              <th className='actions' />
+            </tr>
+          </thead>
+          <tbody>
+            {orphanedSettings.map((setting) => this.renderOrphanedSetting(setting))}
+          </tbody>
+        </table>
+      </section>
+    )
+  }
+
+  renderOrphanedSetting (setting) {
+    const {keyPath, scopeSelector, value} = setting
+    return (
+      <tr key={`${scopeSelector || '*'} ${keyPath}`} dataset={{keyPath}}>
+        <td className='key-path'>{keyPath}</td>
+        <td className='scope'>{scopeSelector || 'Global'}</td>
+        <td className='value'>{JSON.stringify(value)}</td>
+        <td className='actions'>
+          <button
+            className='btn btn-xs icon icon-x remove-button'
+            onclick={() => { this.removeSettings([setting]) }}>Remove</button>
+        </td>
+      </tr>
+    )
+  }
+
+  // Removing keys is recorded in the settings history, so it can be undone.
+  removeSettings (orphanedSettings) {
+    settingsHistory.transact(() => {
+      for (const {keyPath, scopeSelector} of orphanedSettings) {
+        settingsHistory.unset(keyPath, {scopeSelector})
+      }
+    })
+  }
+
+  removeAll () {
+    const count = this.orphanedSettings.length
+    const chosen = atom.confirm({
+      message: 'Remove all unused keys from your config file?',
+      detailedMessage: `${count} ${count === 1 ? 'key' : 'keys'} will be removed:\n\n${_.uniq(this.orphanedSettings.map(({keyPath}) => keyPath)).join('\n')}`,
+      buttons: ['Remove All', 'Cancel']
+    })
+    if (chosen !== 0) return
+
+    this.removeSettings(this.orphanedSettings)
+  }
+
+  focus () {
+    this.element.focus()
+  }
+
+  show () {
+    this.element.style.display = ''
+    this.refreshScheduler.didShow()
+  }
+
+  scrollUp () {
+    this.element.scrollTop -= document.body.offsetHeight / 20
+  }
+
+  scrollDown () {
+    this.element.scrollTop += document.body.offsetHeight / 20
+  }
+
+  pageUp () {
+    this.element.scrollTop -= this.element.offsetHeight
+  }
+
+  pageDown () {
+    this.element.scrollTop += this.element.offsetHeight
+  }
+
+  scrollToTop () {
+    this.element.scrollTop = 0
+  }
+
+  scrollToBottom () {
+    this.element.scrollTop = this.element.scrollHeight
+  }
+}
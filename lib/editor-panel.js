@@ -4,6 +4,7 @@
 import {CompositeDisposable, Disposable} from 'atom'
 import etch from 'etch'
 import SettingsPanel from './settings-panel'
+import EditorPreview from './editor-preview'
 
 export default class EditorPanel {
   constructor () {
@@ -29,6 +30,7 @@ export default class EditorPanel {
   render () {
     return (
       <div tabIndex='0' className='panels-item' onclick={this.didClick}>
+        <EditorPreview ref='preview' />
         <SettingsPanel
           namespace='editor'
           icon='code'
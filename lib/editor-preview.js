@@ -0,0 +1,89 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable, TextEditor} from 'atom'
+import etch from 'etch'
+
+const SAMPLE_TEXT = [
+  '// Changes to the editor settings show up here right away',
+  'function greet (name) {',
+  "\tconst message = 'Hello, ' + name + '!'  ",
+  '\tif (name) {',
+  '\t\tconsole.log(message)',
+  '\t}',
+  "\treturn 'This line is long enough to show how soft wrap and the preferred line length affect the lines that do not fit in the editor.'",
+  '}',
+  ''
+].join('\n')
+
+const DEFAULT_SCOPE_NAME = 'source.js'
+
+// A sample text editor that follows the editor settings, including the ones
+// overridden for its grammar's scope, so their effect can be seen while they
+// are being edited.
+//
+// With `scopeName` the preview uses that grammar. Otherwise the grammar can be
+// chosen from the loaded ones.
+export default class EditorPreview {
+  constructor ({scopeName} = {}) {
+    this.grammarSelectable = scopeName == null
+    this.scopeName = scopeName != null ? scopeName.replace(/^\./, '') : DEFAULT_SCOPE_NAME
+    etch.initialize(this)
+
+    this.subscriptions = new CompositeDisposable()
+    this.refs.editor.setText(SAMPLE_TEXT)
+    this.setGrammar(this.scopeName)
+    this.subscriptions.add(atom.textEditors.maintainConfig(this.refs.editor))
+    if (this.grammarSelectable) {
+      this.subscriptions.add(atom.grammars.onDidAddGrammar(() => { etch.update(this) }))
+    }
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    return (
+      <div className='editor-preview'>
+        <div className='editor-preview-heading'>
+          <span className='icon icon-eye'>Preview</span>
+          {this.grammarSelectable ? this.renderGrammarSelect() : null}
+        </div>
+        <TextEditor ref='editor' />
+      </div>
+    )
+  }
+
+  renderGrammarSelect () {
+    const grammars = atom.grammars.getGrammars()
+      .filter(({name, scopeName}) => name && scopeName)
+      .sort((grammar1, grammar2) => grammar1.name.localeCompare(grammar2.name))
+
+    return (
+      <select ref='grammarSelect' className='form-control editor-preview-grammar' onchange={(event) => { this.setGrammar(event.target.value) }}>
+        {grammars.map(({name, scopeName}) => (
+          <option value={scopeName} selected={scopeName === this.scopeName}>{name}</option>
+        ))}
+      </select>
+    )
+  }
+
+  setGrammar (scopeName) {
+    this.scopeName = scopeName
+    const editor = this.refs.editor
+    if (atom.grammars.assignLanguageMode) {
+      atom.grammars.assignLanguageMode(editor.getBuffer(), scopeName)
+    } else {
+      const grammar = atom.grammars.grammarForScopeName(scopeName)
+      if (grammar) editor.setGrammar(grammar)
+    }
+  }
+
+  getEditor () {
+    return this.refs.editor
+  }
+}
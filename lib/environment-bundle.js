@@ -0,0 +1,229 @@
+const path = require('path')
+const _ = require('underscore-plus')
+const fs = require('fs-plus')
+
+const BUNDLE_VERSION = 1
+
+// The user files that make up an environment, keyed by their name in the
+// bundle.
+const getEnvironmentFilePaths = () => {
+  const configDirPath = atom.getConfigDirPath()
+  return {
+    config: atom.config.getUserConfigPath(),
+    keymap: atom.keymaps.getUserKeymapPath(),
+    stylesheet: atom.styles.getUserStyleSheetPath(),
+    snippets: fs.resolve(configDirPath, 'snippets', ['cson', 'json']) || path.join(configDirPath, 'snippets.cson')
+  }
+}
+
+const readFile = (filePath) => {
+  return fs.isFileSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+}
+
+// Public: Creates a bundle of the user's config, keymap, stylesheet, snippets
+// and installed community packages.
+//
+// Returns a {Promise} that resolves with the bundle object.
+const createEnvironmentBundle = (packageManager) => {
+  return packageManager.getInstalled().then((installedPackages) => {
+    const files = {}
+    const filePaths = getEnvironmentFilePaths()
+    for (const name in filePaths) {
+      const contents = readFile(filePaths[name])
+      if (contents != null) {
+        files[name] = {fileName: path.basename(filePaths[name]), contents}
+      }
+    }
+
+    const packages = (installedPackages.user || []).map(({name, version, theme}) => ({name, version, theme: !!theme}))
+
+    return {
+      version: BUNDLE_VERSION,
+      atomVersion: atom.getVersion(),
+      createdAt: new Date().toISOString(),
+      files,
+      packages
+    }
+  })
+}
+
+// Public: Parses and checks a bundle written by {createEnvironmentBundle}.
+//
+// Throws an {Error} when the bundle cannot be used.
+const parseEnvironmentBundle = (json) => {
+  const bundle = JSON.parse(json)
+  if (bundle == null || typeof bundle !== 'object' || bundle.files == null || !_.isArray(bundle.packages)) {
+    throw new Error('The file is not an environment bundle.')
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`The bundle was created by a newer version of the Settings View (bundle version ${bundle.version}).`)
+  }
+  return bundle
+}
+
+// Public: Compares a bundle with the current environment.
+//
+// Returns a {Promise} that resolves with an object with the following keys:
+// * `files` {Array} of `{name, filePath, contents}` for each file the bundle
+//   would change.
+// * `missingPackages` {Array} of packages that are not installed.
+// * `differentVersions` {Array} of `{name, version, installedVersion}` for
+//   packages installed at another version. These are left untouched.
+const previewEnvironmentBundle = (bundle, packageManager) => {
+  return packageManager.getInstalled().then((installedPackages) => {
+    const files = []
+    const filePaths = getEnvironmentFilePaths()
+    for (const name in filePaths) {
+      const file = bundle.files[name]
+      if (file != null && file.contents !== readFile(filePaths[name])) {
+        files.push({name, filePath: filePaths[name], contents: file.contents})
+      }
+    }
+
+    const installedVersions = {}
+    for (const type of ['core', 'dev', 'user', 'git']) {
+      for (const pack of installedPackages[type] || []) {
+        installedVersions[pack.name] = pack.version
+      }
+    }
+
+    const missingPackages = []
+    const differentVersions = []
+    for (const pack of bundle.packages) {
+      const installedVersion = installedVersions[pack.name]
+      if (installedVersion == null && !packageManager.isPackageInstalled(pack.name)) {
+        missingPackages.push(pack)
+      } else if (installedVersion != null && pack.version != null && installedVersion !== pack.version) {
+        differentVersions.push({name: pack.name, version: pack.version, installedVersion})
+      }
+    }
+
+    return {files, missingPackages, differentVersions}
+  })
+}
+
+// Public: Writes the changed files and installs the missing packages of a
+// preview created by {previewEnvironmentBundle}, one package at a time.
+//
+// Returns a {Promise} that resolves with the list of packages that failed to
+// install.
+const applyEnvironmentBundle = (preview, packageManager) => {
+  for (const {filePath, contents} of preview.files) {
+    fs.writeFileSync(filePath, contents)
+  }
+
+  const failedPackages = []
+  return preview.missingPackages.reduce((promise, pack) => {
+    return promise.then(() => new Promise((resolve) => {
+      packageManager.install({name: pack.name, version: pack.version, theme: pack.theme}, (error) => {
+        if (error != null) {
+          failedPackages.push({pack, error})
+        }
+        resolve()
+      })
+    }))
+  }, Promise.resolve()).then(() => failedPackages)
+}
+
+const describePreview = ({files, missingPackages, differentVersions}) => {
+  const lines = []
+  if (files.length > 0) {
+    lines.push('Files that will be replaced:')
+    for (const {filePath} of files) {
+      lines.push(`  ${filePath}`)
+    }
+  }
+
+  if (missingPackages.length > 0) {
+    lines.push('Packages that will be installed:')
+    for (const {name, version} of missingPackages) {
+      lines.push(`  ${name}${version ? `@${version}` : ''}`)
+    }
+  }
+
+  if (differentVersions.length > 0) {
+    lines.push('Packages installed at a different version (left unchanged):')
+    for (const {name, version, installedVersion} of differentVersions) {
+      lines.push(`  ${name} ${installedVersion} (bundle has ${version})`)
+    }
+  }
+
+  return lines.join('\n')
+}
+
+// Public: Asks for a destination and writes the current environment to it.
+const exportEnvironment = (packageManager) => {
+  const {remote} = require('electron')
+  const bundlePath = remote.dialog.showSaveDialog(remote.getCurrentWindow(), {
+    title: 'Export Environment',
+    defaultPath: path.join(fs.getHomeDirectory(), 'atom-environment.json'),
+    filters: [{name: 'Environment Bundle', extensions: ['json']}]
+  })
+  if (!bundlePath) return Promise.resolve()
+
+  return createEnvironmentBundle(packageManager).then((bundle) => {
+    fs.writeFileSync(bundlePath, JSON.stringify(bundle, null, 2))
+    atom.notifications.addSuccess('Exported the environment bundle.', {
+      detail: `${bundlePath}\n${Object.keys(bundle.files).length} files, ${bundle.packages.length} packages`
+    })
+  }).catch((error) => {
+    atom.notifications.addError('Exporting the environment failed.', {detail: error.message, dismissable: true})
+  })
+}
+
+// Public: Asks for a bundle, previews the changes it would make and applies
+// them once confirmed.
+const importEnvironment = (packageManager) => {
+  const {remote} = require('electron')
+  const bundlePaths = remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+    title: 'Import Environment',
+    properties: ['openFile'],
+    filters: [{name: 'Environment Bundle', extensions: ['json']}]
+  })
+  if (!bundlePaths || bundlePaths.length === 0) return Promise.resolve()
+
+  let bundle
+  try {
+    bundle = parseEnvironmentBundle(fs.readFileSync(bundlePaths[0], 'utf8'))
+  } catch (error) {
+    atom.notifications.addError('Importing the environment failed.', {detail: error.message, dismissable: true})
+    return Promise.resolve()
+  }
+
+  return previewEnvironmentBundle(bundle, packageManager).then((preview) => {
+    if (preview.files.length === 0 && preview.missingPackages.length === 0) {
+      atom.notifications.addInfo('Your environment already matches the bundle.', {detail: describePreview(preview) || undefined})
+      return
+    }
+
+    const chosen = atom.confirm({
+      message: 'Import this environment?',
+      detailedMessage: describePreview(preview),
+      buttons: ['Import', 'Cancel']
+    })
+    if (chosen !== 0) return
+
+    return applyEnvironmentBundle(preview, packageManager).then((failedPackages) => {
+      if (failedPackages.length > 0) {
+        atom.notifications.addWarning('Imported the environment, but some packages could not be installed.', {
+          detail: failedPackages.map(({pack, error}) => `${pack.name}: ${error.message}`).join('\n'),
+          dismissable: true
+        })
+      } else {
+        atom.notifications.addSuccess('Imported the environment.')
+      }
+    })
+  }).catch((error) => {
+    atom.notifications.addError('Importing the environment failed.', {detail: error.message, dismissable: true})
+  })
+}
+
+module.exports = {
+  getEnvironmentFilePaths,
+  createEnvironmentBundle,
+  parseEnvironmentBundle,
+  previewEnvironmentBundle,
+  applyEnvironmentBundle,
+  exportEnvironment,
+  importEnvironment
+}
@@ -0,0 +1,194 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {Emitter} from 'atom'
+import etch from 'etch'
+import {getInstalledFonts, parseFontStack, formatFontStack, quoteFontFamily, isFontInstalled} from './font-utils'
+
+// The most installed fonts listed at once, to keep filtering responsive
+const MAX_CANDIDATES = 100
+
+// Edits a CSS `font-family` setting such as `editor.fontFamily` as a fallback
+// stack of families. Installed fonts are listed, each rendered in its own
+// face, and families missing on this machine are flagged.
+export default class FontPicker {
+  constructor ({keyPath, value}) {
+    this.keyPath = keyPath
+    this.families = parseFontStack(value)
+    this.installedFonts = []
+    this.fontsAvailable = true
+    this.filterText = ''
+    this.monospaceOnly = true
+    this.emitter = new Emitter()
+    etch.initialize(this)
+
+    // SettingsPanel finds the editor through its element, like an atom-text-editor
+    this.element.getModel = () => this
+
+    this.loadFontsPromise = getInstalledFonts().then((fonts) => {
+      if (this.destroyed) return
+      this.fontsAvailable = fonts != null
+      this.installedFonts = fonts || []
+      return etch.update(this)
+    })
+  }
+
+  destroy () {
+    this.destroyed = true
+    this.emitter.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    return (
+      <div id={this.keyPath} className='font-picker native-key-bindings' tabIndex='-1'>
+        <ol ref='familyList' className='font-picker-families'>
+          {this.families.map((family, index) => this.renderFamily(family, index))}
+        </ol>
+        {this.families.length === 0
+          ? <div ref='defaultMessage' className='font-picker-default text-subtle'>Using Atom's default fonts.</div>
+          : null}
+        <div className='font-picker-search'>
+          <input
+            ref='filterInput'
+            type='search'
+            className='input-search'
+            placeholder='Search installed fonts or type a font name'
+            value={this.filterText}
+            oninput={(event) => { this.setFilterText(event.target.value) }}
+            onkeydown={(event) => { if (event.key === 'Enter') this.addFilterTextAsFamily() }} />
+          <label className='input-label'>
+            <input
+              ref='monospaceCheckbox'
+              type='checkbox'
+              className='input-checkbox'
+              checked={this.monospaceOnly}
+              onchange={(event) => { this.setMonospaceOnly(event.target.checked) }} />
+            Monospace only
+          </label>
+        </div>
+        {this.renderCandidates()}
+      </div>
+    )
+  }
+
+  renderFamily (family, index) {
+    const isMissing = this.fontsAvailable && this.installedFonts.length > 0 && !isFontInstalled(family, this.installedFonts)
+    return (
+      <li className={isMissing ? 'font-picker-family is-missing' : 'font-picker-family'} dataset={{family}}>
+        <span className='font-picker-family-name' style={{fontFamily: quoteFontFamily(family)}}>{family}</span>
+        {isMissing ? <span className='font-picker-missing text-warning icon icon-alert'>Not installed</span> : null}
+        <div className='btn-group btn-group-xs font-picker-family-buttons'>
+          <button
+            className='btn icon icon-arrow-up font-picker-move-up-button'
+            title='Try earlier'
+            disabled={index === 0}
+            onclick={() => { this.moveFamily(index, -1) }} />
+          <button
+            className='btn icon icon-arrow-down font-picker-move-down-button'
+            title='Try later'
+            disabled={index === this.families.length - 1}
+            onclick={() => { this.moveFamily(index, 1) }} />
+          <button
+            className='btn icon icon-x font-picker-remove-button'
+            title='Remove'
+            onclick={() => { this.removeFamily(index) }} />
+        </div>
+      </li>
+    )
+  }
+
+  renderCandidates () {
+    if (!this.fontsAvailable) {
+      return <div ref='unavailableMessage' className='font-picker-unavailable text-subtle'>Installed fonts could not be listed. Type a font name and press Enter to add it.</div>
+    }
+
+    const candidates = this.getCandidates()
+    return (
+      <ol ref='candidateList' className='font-picker-candidates list-group'>
+        {candidates.slice(0, MAX_CANDIDATES).map(({family}) => (
+          <li className='font-picker-candidate' dataset={{family}} onclick={() => { this.addFamily(family) }}>
+            <span style={{fontFamily: quoteFontFamily(family)}}>{family}</span>
+          </li>
+        ))}
+      </ol>
+    )
+  }
+
+  // Returns the installed fonts matching the filter that are not in the stack.
+  getCandidates () {
+    const filterText = this.filterText.trim().toLowerCase()
+    const families = this.families.map((family) => family.toLowerCase())
+    return this.installedFonts.filter(({family, monospace}) => {
+      if (this.monospaceOnly && !monospace) return false
+      if (families.includes(family.toLowerCase())) return false
+      return family.toLowerCase().includes(filterText)
+    })
+  }
+
+  getValue () {
+    return formatFontStack(this.families)
+  }
+
+  // Shows the given value unless it is the value already being edited.
+  setValue (value) {
+    if (formatFontStack(parseFontStack(value)) === this.getValue()) return
+
+    this.families = parseFontStack(value)
+    return etch.update(this)
+  }
+
+  setFilterText (filterText) {
+    this.filterText = filterText
+    return etch.update(this)
+  }
+
+  setMonospaceOnly (monospaceOnly) {
+    this.monospaceOnly = monospaceOnly
+    return etch.update(this)
+  }
+
+  // Adds the typed name, which does not have to be installed on this machine,
+  // e.g. a font only some teammates have.
+  addFilterTextAsFamily () {
+    const family = this.filterText.trim()
+    if (!family) return
+
+    this.filterText = ''
+    return this.addFamily(family)
+  }
+
+  addFamily (family) {
+    if (this.families.some((existing) => existing.toLowerCase() === family.toLowerCase())) {
+      return etch.update(this)
+    }
+
+    this.families.push(family)
+    return this.didChangeFamilies()
+  }
+
+  removeFamily (index) {
+    this.families.splice(index, 1)
+    return this.didChangeFamilies()
+  }
+
+  moveFamily (index, offset) {
+    const newIndex = index + offset
+    if (newIndex < 0 || newIndex >= this.families.length) return
+
+    const [family] = this.families.splice(index, 1)
+    this.families.splice(newIndex, 0, family)
+    return this.didChangeFamilies()
+  }
+
+  didChangeFamilies () {
+    this.emitter.emit('did-change', this.getValue())
+    return etch.update(this)
+  }
+
+  onDidChange (callback) {
+    return this.emitter.on('did-change', callback)
+  }
+}
@@ -0,0 +1,90 @@
+const {execFile} = require('child_process')
+const _ = require('underscore-plus')
+
+// CSS generic families are always available and must not be quoted
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-monospace', 'ui-serif', 'ui-sans-serif']
+
+// fontconfig spacing values: 90 is dual width, 100 is monospace and 110 is
+// character cell.
+const MONOSPACE_SPACING = 90
+
+let installedFontsPromise = null
+
+const parseFontList = (output) => {
+  const fontsByFamily = {}
+  for (const line of output.split('\n')) {
+    const [family, spacing] = line.split('\t')
+    if (!family || !family.trim()) continue
+
+    const name = family.trim()
+    const monospace = parseInt(spacing, 10) >= MONOSPACE_SPACING
+    if (fontsByFamily[name]) {
+      fontsByFamily[name].monospace = fontsByFamily[name].monospace && monospace
+    } else {
+      fontsByFamily[name] = {family: name, monospace}
+    }
+  }
+  return _.sortBy(_.values(fontsByFamily), ({family}) => family.toLowerCase())
+}
+
+// Public: Lists the font families installed on the machine using fontconfig's
+// `fc-list`. The list is only read once.
+//
+// Returns a {Promise} resolving to an {Array} of `{family, monospace}` objects
+// sorted by family, or to `null` when the fonts could not be listed, e.g. when
+// fontconfig is not installed.
+const getInstalledFonts = () => {
+  if (installedFontsPromise == null) {
+    installedFontsPromise = new Promise((resolve) => {
+      execFile('fc-list', ['--format', '%{family[0]}\t%{spacing}\n'], {maxBuffer: 10 * 1024 * 1024}, (error, stdout) => {
+        resolve(error ? null : parseFontList(stdout))
+      })
+    })
+  }
+  return installedFontsPromise
+}
+
+// Public: Splits a CSS `font-family` value into its families, removing quotes.
+//
+// * `value` A {String} such as `"Fira Code", Menlo, monospace`.
+//
+// Returns an {Array} of family names.
+const parseFontStack = (value) => {
+  if (!_.isString(value)) return []
+
+  const families = []
+  const familyRegex = /\s*(?:"([^"]*)"|'([^']*)'|([^,]+))\s*(?:,|$)/g
+  let match
+  while ((match = familyRegex.exec(value)) && match[0] !== '') {
+    const family = (match[1] != null ? match[1] : match[2] != null ? match[2] : match[3]).trim()
+    if (family) families.push(family)
+  }
+  return families
+}
+
+const isGenericFamily = (family) => GENERIC_FAMILIES.includes(family.toLowerCase())
+
+// Public: Quotes a family name for use in CSS unless it is a generic family
+// or a plain identifier.
+const quoteFontFamily = (family) => {
+  if (isGenericFamily(family) || /^[a-z][a-z0-9-]*$/i.test(family)) {
+    return family
+  } else {
+    return `"${family.replace(/"/g, '\\"')}"`
+  }
+}
+
+// Public: Joins family names into a CSS `font-family` value.
+const formatFontStack = (families) => {
+  return families.map(quoteFontFamily).join(', ')
+}
+
+// Public: Is the family installed, according to the given list of installed
+// fonts? Generic families are always available.
+const isFontInstalled = (family, installedFonts) => {
+  if (isGenericFamily(family)) return true
+  const name = family.toLowerCase()
+  return installedFonts.some((font) => font.family.toLowerCase() === name)
+}
+
+module.exports = {getInstalledFonts, parseFontList, parseFontStack, formatFontStack, quoteFontFamily, isFontInstalled, GENERIC_FAMILIES}
@@ -77,6 +77,16 @@ export default class InstalledPackagesPanel extends CollapsibleSectionPanel {
     this.element.style.display = ''
   }
 
+  serialize () {
+    return {filterText: this.refs.filterEditor.getText()}
+  }
+
+  restoreState ({filterText}) {
+    if (filterText) {
+      this.refs.filterEditor.setText(filterText)
+    }
+  }
+
   destroy () {
     this.subscriptions.dispose()
     return etch.destroy(this)
@@ -0,0 +1,99 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {Emitter} from 'atom'
+import etch from 'etch'
+import {getWinReason} from './keybinding-conflicts'
+
+// Lists the keystrokes that several packages bind on selectors that can
+// match the same element, with the binding Atom picks first. A conflict is
+// resolved in the user keymap by overriding the keystrokes with the command
+// of another binding, or by disabling the keystrokes with an `unset!`
+// binding, which removes every package binding of them on the elements the
+// winner's selector matches rather than letting the next one win.
+export default class KeybindingConflictsView {
+  constructor ({conflicts, determineSource}) {
+    this.conflicts = conflicts || []
+    this.determineSource = determineSource
+    this.emitter = new Emitter()
+    etch.initialize(this)
+  }
+
+  destroy () {
+    this.emitter.dispose()
+    return etch.destroy(this)
+  }
+
+  update ({conflicts}) {
+    this.conflicts = conflicts || []
+    return etch.update(this)
+  }
+
+  render () {
+    return (
+      <div className='keybinding-conflicts'>
+        {this.conflicts.length === 0
+          ? <div ref='noConflictsMessage' className='text-subtle no-conflicts-message'>None of the keybindings conflict.</div>
+          : this.conflicts.map((conflict) => this.renderConflict(conflict))}
+      </div>
+    )
+  }
+
+  renderConflict (conflict) {
+    const [winner] = conflict.keyBindings
+    return (
+      <div className='keybinding-conflict' dataset={{keystrokes: conflict.keystrokes}}>
+        <h4 className='keybinding-conflict-keystrokes'>
+          <kbd className='key-binding'>{conflict.keystrokes}</kbd>
+        </h4>
+        <table className='native-key-bindings table text' tabIndex='-1'>
+          <tbody>
+            {conflict.keyBindings.map((keyBinding) => {
+              const isWinner = keyBinding === winner
+              return (
+                <tr className={isWinner ? 'is-winner' : ''}>
+                  <td className='command'>{keyBinding.command}</td>
+                  <td className='source'>{this.determineSource(keyBinding.source)}</td>
+                  <td className='selector'>{keyBinding.selector}</td>
+                  <td className='status'>
+                    {isWinner
+                      ? <span className='highlight-success'>Wins</span>
+                      : <span className='text-subtle'>{`Loses to ${getWinReason(winner, keyBinding)}`}</span>}
+                  </td>
+                  <td className='actions'>
+                    {isWinner
+                      ? <button
+                          className='btn btn-xs icon icon-circle-slash disable-conflict-button'
+                          title='Bind these keystrokes to unset! in your keymap, which disables all of their bindings on the elements this selector matches'
+                          onclick={() => this.emitter.emit('did-disable', {conflict, keyBinding})}>
+                          Disable Here
+                        </button>
+                      : <button
+                          className='btn btn-xs icon icon-check use-conflict-button'
+                          title='Bind these keystrokes to this command in your keymap'
+                          onclick={() => this.emitter.emit('did-override', {conflict, keyBinding})}>
+                          Use This
+                        </button>}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    )
+  }
+
+  // Public: Invokes `callback` with `{conflict, keyBinding}` when a losing
+  // binding is chosen to win.
+  onDidOverride (callback) {
+    return this.emitter.on('did-override', callback)
+  }
+
+  // Public: Invokes `callback` with `{conflict, keyBinding}` when the
+  // keystrokes are to be disabled on the elements the winning binding's
+  // selector matches.
+  onDidDisable (callback) {
+    return this.emitter.on('did-disable', callback)
+  }
+}
@@ -0,0 +1,177 @@
+const _ = require('underscore-plus')
+
+// Splits a selector list at its top-level commas, leaving the commas inside
+// `:not(a, b)` or `[title="a, b"]` alone.
+const splitSelectorList = (selector) => {
+  const selectors = []
+  let depth = 0
+  let quote = null
+  let current = ''
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(' || char === '[') {
+      depth++
+    } else if (char === ')' || char === ']') {
+      depth--
+    } else if (char === ',' && depth === 0) {
+      selectors.push(current.trim())
+      current = ''
+      continue
+    }
+    current += char
+  }
+  if (current.trim()) selectors.push(current.trim())
+  return selectors
+}
+
+// Removes the arguments of functional pseudo-classes and attribute
+// selectors, so that the classes and ids they mention are not counted as
+// required.
+const stripArguments = (selector) => {
+  let result = ''
+  let depth = 0
+  for (const char of selector) {
+    if (char === '(' || char === '[') {
+      if (depth === 0) result += char
+      depth++
+    } else if (char === ')' || char === ']') {
+      depth--
+      if (depth === 0) result += char
+    } else if (depth === 0) {
+      result += char
+    }
+  }
+  return result
+}
+
+// The compound selector of the element the selector matches, which is the
+// part after the last combinator.
+const getSubject = (selector) => {
+  const compounds = stripArguments(selector).trim().split(/\s*[\s>+~]\s*/)
+  return compounds[compounds.length - 1]
+}
+
+const getTagName = (compound) => {
+  const match = /^[a-zA-Z][\w-]*/.exec(compound)
+  return match ? match[0].toLowerCase() : null
+}
+
+const getIds = (compound) => (compound.match(/#[\w-]+/g) || [])
+
+const getPlatforms = (selector) => (stripArguments(selector).match(/\.platform-[\w-]+/g) || [])
+
+// Public: Can the two selectors (or selector lists) match the same element?
+// This is an approximation that only rules out selectors whose subjects have
+// different tag names or ids, or that are for different platforms, so it
+// errs on the side of reporting overlaps.
+const canMatchSameElement = (selector1, selector2) => {
+  return splitSelectorList(selector1).some((first) => {
+    return splitSelectorList(selector2).some((second) => {
+      const firstSubject = getSubject(first)
+      const secondSubject = getSubject(second)
+
+      const firstTag = getTagName(firstSubject)
+      const secondTag = getTagName(secondSubject)
+      if (firstTag && secondTag && firstTag !== secondTag) return false
+
+      const firstIds = getIds(firstSubject)
+      const secondIds = getIds(secondSubject)
+      if (firstIds.length && secondIds.length && _.intersection(firstIds, secondIds).length === 0) return false
+
+      const firstPlatforms = getPlatforms(first)
+      const secondPlatforms = getPlatforms(second)
+      if (firstPlatforms.length && secondPlatforms.length && _.intersection(firstPlatforms, secondPlatforms).length === 0) return false
+
+      return true
+    })
+  })
+}
+
+// Public: The specificity of a selector as a number that compares like the
+// CSS specificity, taking the most specific selector of a list.
+const calculateSpecificity = (selector) => {
+  return Math.max(...splitSelectorList(selector).map((single) => {
+    const withoutNot = single.replace(/:not\(/g, '(')
+    const ids = (withoutNot.match(/#[\w-]+/g) || []).length
+    const classes = (withoutNot.match(/\.[\w-]+|\[[^\]]*\]|(?<!:):(?!:)[\w-]+/g) || []).length
+    const types = (withoutNot.match(/(?:^|[\s>+~(])[a-zA-Z][\w-]*|::[\w-]+/g) || []).length
+    return ids * 10000 + classes * 100 + types
+  }))
+}
+
+const getSpecificity = (keyBinding) => {
+  return keyBinding.specificity != null ? keyBinding.specificity : calculateSpecificity(keyBinding.selector)
+}
+
+// Public: Orders bindings for the same keystrokes the way Atom picks one:
+// bindings from keymaps with a higher priority, like the user keymap, come
+// first, then more specific selectors, then bindings loaded later.
+const compareKeyBindings = (keyBinding1, keyBinding2) => {
+  const priority = (keyBinding2.priority || 0) - (keyBinding1.priority || 0)
+  if (priority !== 0) return priority
+  const specificity = getSpecificity(keyBinding2) - getSpecificity(keyBinding1)
+  if (specificity !== 0) return specificity
+  return (keyBinding2.index || 0) - (keyBinding1.index || 0)
+}
+
+// Public: Explains why `winner` is picked over `loser` on the elements both
+// can match, as in "loses to a more specific selector".
+const getWinReason = (winner, loser) => {
+  if ((winner.priority || 0) !== (loser.priority || 0)) {
+    return 'a keymap with a higher priority'
+  } else if (getSpecificity(winner) !== getSpecificity(loser)) {
+    return 'a more specific selector'
+  } else {
+    return 'a binding loaded later'
+  }
+}
+
+// Public: Finds the bindings of the same keystrokes to different commands on
+// selectors that can match the same element, of which Atom silently picks
+// one.
+//
+// * `keyBindings` An {Array} of bindings like those of
+//   `atom.keymaps.getKeyBindings()`.
+// * `isUserBinding` A {Function} telling whether a binding comes from the
+//   user keymap. These are deliberate overrides rather than conflicts, and a
+//   conflict counts as resolved when a user binding of its keystrokes can
+//   match the same elements as each of its bindings.
+//
+// Returns an {Array} of `{keystrokes, keyBindings}` objects sorted by
+// keystrokes, where `keyBindings` has the binding Atom picks first.
+const findConflicts = (keyBindings, isUserBinding) => {
+  const conflicts = []
+  const groups = _.groupBy(keyBindings, 'keystrokes')
+  for (const keystrokes of Object.keys(groups).sort()) {
+    const userBindings = groups[keystrokes].filter(isUserBinding)
+    const otherBindings = groups[keystrokes].filter((keyBinding) => !isUserBinding(keyBinding))
+
+    // Group the bindings that overlap, directly or through another one
+    const clusters = []
+    for (const keyBinding of otherBindings) {
+      const overlapping = clusters.filter((cluster) => {
+        return cluster.some((other) => canMatchSameElement(keyBinding.selector, other.selector))
+      })
+      const merged = [keyBinding].concat(...overlapping)
+      for (const cluster of overlapping) clusters.splice(clusters.indexOf(cluster), 1)
+      clusters.push(merged)
+    }
+
+    for (const cluster of clusters) {
+      if (_.uniq(_.pluck(cluster, 'command')).length < 2) continue
+
+      const isResolved = userBindings.some((userBinding) => {
+        return cluster.every((keyBinding) => canMatchSameElement(userBinding.selector, keyBinding.selector))
+      })
+      if (isResolved) continue
+
+      conflicts.push({keystrokes, keyBindings: cluster.slice().sort(compareKeyBindings)})
+    }
+  }
+  return conflicts
+}
+
+module.exports = {findConflicts, canMatchSameElement, calculateSpecificity, compareKeyBindings, getWinReason, splitSelectorList}
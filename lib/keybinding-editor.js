@@ -0,0 +1,118 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {Emitter, TextEditor} from 'atom'
+import etch from 'etch'
+import {normalizeKeystrokes} from './keystroke-utils'
+
+// A table row of the Keybindings panel for changing the keystrokes, command
+// and selector of a binding before it is written to the user keymap.
+// Keystrokes can be typed in other notations, like `cmd+shift+p`.
+export default class KeybindingEditor {
+  constructor ({keyBinding, confirmLabel}) {
+    this.keyBinding = keyBinding
+    this.confirmLabel = confirmLabel
+    this.emitter = new Emitter()
+    etch.initialize(this)
+
+    this.refs.keystrokesEditor.setText(keyBinding.keystrokes)
+    this.refs.commandEditor.setText(keyBinding.command)
+    this.refs.selectorEditor.setText(keyBinding.selector)
+
+    this.commandsDisposable = atom.commands.add(this.element, {
+      'core:confirm': () => { this.confirm() },
+      'core:cancel': () => { this.cancel() }
+    })
+  }
+
+  destroy () {
+    this.commandsDisposable.dispose()
+    this.emitter.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    return (
+      <tr className='keybinding-editor'>
+        <td colSpan='5'>
+          <div className='keybinding-editor-fields'>
+            <label className='keybinding-editor-field'>
+              <span className='setting-title'>Keystrokes</span>
+              <TextEditor mini={true} ref='keystrokesEditor' placeholderText='e.g. ctrl-alt-p or cmd+shift+p' />
+            </label>
+            <label className='keybinding-editor-field'>
+              <span className='setting-title'>Command</span>
+              <TextEditor mini={true} ref='commandEditor' placeholderText='e.g. core:undo' />
+            </label>
+            <label className='keybinding-editor-field'>
+              <span className='setting-title'>Selector</span>
+              <TextEditor mini={true} ref='selectorEditor' placeholderText='e.g. atom-text-editor' />
+            </label>
+          </div>
+          <div ref='errorMessage' className='keybinding-editor-error text-error' style={{display: 'none'}} />
+          <div className='btn-group'>
+            <button ref='confirmButton' className='btn btn-primary' onclick={() => this.confirm()}>{this.confirmLabel}</button>
+            <button ref='cancelButton' className='btn' onclick={() => this.cancel()}>Cancel</button>
+          </div>
+        </td>
+      </tr>
+    )
+  }
+
+  focus () {
+    this.refs.keystrokesEditor.element.focus()
+  }
+
+  // Returns the binding from the fields, or `null` after showing an error
+  // when a field is invalid.
+  getKeyBinding () {
+    const keystrokes = normalizeKeystrokes(this.refs.keystrokesEditor.getText())
+    const command = this.refs.commandEditor.getText().trim()
+    const selector = this.refs.selectorEditor.getText().trim()
+
+    let error = null
+    if (!keystrokes) {
+      error = `\`${this.refs.keystrokesEditor.getText()}\` is not a keystroke.`
+    } else if (!command) {
+      error = 'Enter the command to run.'
+    } else if (!selector) {
+      error = 'Enter the selector of the elements the binding applies to.'
+    } else if (!isValidSelector(selector)) {
+      error = `\`${selector}\` is not a valid CSS selector.`
+    }
+
+    this.refs.errorMessage.textContent = error || ''
+    this.refs.errorMessage.style.display = error ? '' : 'none'
+    return error ? null : {keystrokes, command, selector}
+  }
+
+  confirm () {
+    const keyBinding = this.getKeyBinding()
+    if (keyBinding) {
+      this.emitter.emit('did-confirm', keyBinding)
+    }
+  }
+
+  cancel () {
+    this.emitter.emit('did-cancel')
+  }
+
+  onDidConfirm (callback) {
+    return this.emitter.on('did-confirm', callback)
+  }
+
+  onDidCancel (callback) {
+    return this.emitter.on('did-cancel', callback)
+  }
+}
+
+function isValidSelector (selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector)
+    return true
+  } catch (error) {
+    return false
+  }
+}
@@ -0,0 +1,192 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable} from 'atom'
+import etch from 'etch'
+import {resolveKeystrokes, getDisabledKeyBindings, describeElement} from './keybinding-resolver'
+
+const CONTEXT_LABELS = {
+  'editor': 'text editor',
+  'tree-view': 'tree view',
+  'workspace': 'workspace'
+}
+
+// Explains which binding a keystroke resolves to when it is pressed in a text
+// editor, the tree view or the workspace, listing every binding Atom
+// considers in order.
+//
+// The settings view is the active pane item while this is used, so the text
+// editor defaults to the one that was active last, and any open one can be
+// chosen instead.
+//
+// `recordKeystrokes` is the {KeybindingsPanel} method that captures the keys
+// while a button shows it is recording.
+export default class KeybindingResolverView {
+  constructor ({determineSource, recordKeystrokes}) {
+    this.determineSource = determineSource
+    this.recordKeystrokes = recordKeystrokes
+    this.context = 'editor'
+    this.editor = atom.workspace.getActiveTextEditor() || findVisibleTextEditor()
+    this.keystrokes = null
+    this.candidates = []
+    this.message = 'Choose where the keys are pressed, then record a keystroke.'
+    etch.initialize(this)
+
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.workspace.onDidChangeActiveTextEditor((editor) => {
+      if (editor) this.editor = editor
+    }))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {
+    return etch.update(this)
+  }
+
+  render () {
+    return (
+      <div className='keybinding-resolver'>
+        <div className='keybinding-resolver-controls'>
+          <select ref='contextSelect' className='form-control' onchange={() => this.didChangeContext()}>
+            {this.renderEditorOptions()}
+            <option value='tree-view' selected={this.context === 'tree-view'}>Tree view</option>
+            <option value='workspace' selected={this.context === 'workspace'}>Workspace</option>
+          </select>
+          <button ref='recordButton' className='btn icon icon-primitive-dot resolve-keystroke-button' onclick={() => this.didClickRecordButton()}>
+            Record Keystroke
+          </button>
+        </div>
+
+        {this.keystrokes
+          ? <h4 className='keybinding-resolver-keystrokes'><kbd className='key-binding'>{this.keystrokes}</kbd></h4>
+          : null}
+        {this.message ? <div ref='message' className='text-subtle keybinding-resolver-message'>{this.message}</div> : null}
+
+        {this.candidates.length > 0
+          ? <table ref='candidatesTable' className='native-key-bindings table text' tabIndex='-1'>
+              <thead>
+                <tr>
+                  <th className='element'>Element</th>
+                  <th className='command'>Command</th>
+                  <th className='source'>Source</th>
+                  <th className='selector'>Selector</th>
+                  <th className='status'>Status</th>
+                </tr>
+              </thead>
+              <tbody ref='candidateRows'>
+                {this.candidates.map(({keyBinding, element, status, reason}) => (
+                  <tr className={`is-${status}`}>
+                    <td className='element'>{describeElement(element)}</td>
+                    <td className='command'>{keyBinding.command}</td>
+                    <td className='source'>{this.determineSource(keyBinding.source)}</td>
+                    <td className='selector'>{keyBinding.selector}</td>
+                    <td className='status'>{reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          : null}
+      </div>
+    )
+  }
+
+  renderEditorOptions () {
+    const editor = this.getEditor()
+    const editors = atom.workspace.getTextEditors()
+    if (editors.length === 0) {
+      return <option value='editor' selected={this.context === 'editor'}>Text editor</option>
+    }
+
+    return editors.map((each) => (
+      <option value={`editor-${each.id}`} selected={this.context === 'editor' && each === editor}>
+        {`Text editor: ${each.getTitle()} (${each.getGrammar().name})`}
+      </option>
+    ))
+  }
+
+  // Returns the chosen text editor, or the last active one.
+  getEditor () {
+    if (this.editor == null || !this.editor.isAlive()) {
+      this.editor = findVisibleTextEditor()
+    }
+    return this.editor
+  }
+
+  // Returns the element that has focus in `context`, or `null` when there is
+  // no such element, such as when no text editor is open.
+  getTarget (context) {
+    switch (context) {
+      case 'editor': {
+        const editor = this.getEditor()
+        return editor ? editor.element : null
+      }
+      case 'tree-view':
+        return document.querySelector('.tree-view')
+      default:
+        return atom.views.getView(atom.workspace)
+    }
+  }
+
+  didChangeContext () {
+    const {value} = this.refs.contextSelect
+    if (value.startsWith('editor-')) {
+      const editor = atom.workspace.getTextEditors().find(({id}) => `editor-${id}` === value)
+      if (editor) this.editor = editor
+      this.setContext('editor')
+    } else {
+      this.setContext(value)
+    }
+  }
+
+  setContext (context) {
+    this.context = context
+    return this.resolve(this.keystrokes)
+  }
+
+  // Public: Lists the bindings `keystrokes` resolves to in the chosen context.
+  resolve (keystrokes) {
+    this.keystrokes = keystrokes
+    this.candidates = []
+    this.message = null
+
+    const target = this.getTarget(this.context)
+    const label = CONTEXT_LABELS[this.context]
+    if (target == null) {
+      this.message = `There is no ${label} to press keys in.`
+    } else if (keystrokes) {
+      this.candidates = resolveKeystrokes({
+        keystrokes,
+        target,
+        keyBindings: atom.keymaps.getKeyBindings(),
+        disabledKeyBindings: getDisabledKeyBindings()
+      })
+      if (this.candidates.length === 0) {
+        this.message = `No keybinding for ${keystrokes} applies to the ${label}.`
+      }
+    } else {
+      this.message = 'Record a keystroke to see the keybindings it resolves to.'
+    }
+    return etch.update(this)
+  }
+
+  didClickRecordButton () {
+    this.recordKeystrokes(this.refs.recordButton, {
+      onDidStop: (keystrokes) => this.resolve(keystrokes)
+    })
+  }
+}
+
+// Returns a text editor that is the active item of its pane, preferring the
+// active pane, for when the settings view hides the active text editor.
+function findVisibleTextEditor () {
+  const editors = atom.workspace.getTextEditors().filter((editor) => {
+    const pane = atom.workspace.paneForItem(editor)
+    return pane != null && pane.getActiveItem() === editor
+  })
+  const activePane = atom.workspace.getActivePane()
+  return editors.find((editor) => atom.workspace.paneForItem(editor) === activePane) || editors[0] || null
+}
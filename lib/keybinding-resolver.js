@@ -0,0 +1,96 @@
+const {compareKeyBindings, getWinReason} = require('./keybinding-conflicts')
+
+// Returns the bindings of the packages in `core.packagesWithKeymapsDisabled`,
+// which Atom does not load into its keymap, built from the keymaps of the
+// loaded packages.
+const getDisabledKeyBindings = () => {
+  const keyBindings = []
+  if (!atom.keymaps.build) return keyBindings
+
+  for (const packageName of atom.config.get('core.packagesWithKeymapsDisabled') || []) {
+    const pack = atom.packages.getLoadedPackage(packageName)
+    if (pack == null || pack.keymaps == null) continue
+    for (const [keymapPath, keymap] of pack.keymaps) {
+      keyBindings.push(...atom.keymaps.build(keymapPath, keymap, 0, false))
+    }
+  }
+  return keyBindings
+}
+
+const matchesSelector = (element, selector) => {
+  try {
+    return element.matches(selector)
+  } catch (error) {
+    return false
+  }
+}
+
+// Public: Lists the bindings of `keystrokes` that apply to `target` or to one
+// of its ancestors, in the order Atom tries them: bindings of the nearest
+// element first and, for each element, by source priority, selector
+// specificity and load order.
+//
+// * `keystrokes` The keystrokes in Atom's notation, like `ctrl-k ctrl-b`.
+// * `target` The element that has focus when the keys are pressed.
+// * `keyBindings` The active bindings, like `atom.keymaps.getKeyBindings()`.
+// * `disabledKeyBindings` Bindings of packages whose keymaps are disabled.
+//
+// Returns an {Array} of `{keyBinding, element, status, reason}` objects where
+// `status` is one of `wins`, `loses`, `unset` or `disabled`. `unset!`
+// bindings hide the bindings after them for the same element, and `abort!`
+// stops the search.
+const resolveKeystrokes = ({keystrokes, target, keyBindings, disabledKeyBindings = []}) => {
+  const candidates = []
+  let winner = null
+  let winnerElement = null
+
+  const disabled = new Set(disabledKeyBindings)
+  // A binding whose selector matches several ancestors, like `body *`, is
+  // only a candidate for the nearest one, as in Atom's `findExactMatches`
+  const listed = new Set()
+  const matching = keyBindings.concat(disabledKeyBindings).filter((keyBinding) => keyBinding.keystrokes === keystrokes)
+
+  for (let element = target; element && element.matches; element = element.parentElement) {
+    const elementBindings = matching
+      .filter((keyBinding) => !listed.has(keyBinding) && matchesSelector(element, keyBinding.selector))
+      .sort(compareKeyBindings)
+
+    let unsetBy = null
+    for (const keyBinding of elementBindings) {
+      let status, reason
+      if (disabled.has(keyBinding)) {
+        status = 'disabled'
+        reason = 'The keymaps of its package are disabled'
+      } else if (winner) {
+        status = 'loses'
+        reason = winnerElement === element
+          ? `Loses to ${getWinReason(winner, keyBinding)}`
+          : 'Loses to a binding for an element nearer to the focus'
+      } else if (unsetBy) {
+        status = 'unset'
+        reason = 'Removed by an unset! binding before it'
+      } else if (keyBinding.command === 'unset!') {
+        status = 'unset'
+        reason = 'Removes the bindings after it for this element'
+        unsetBy = keyBinding
+      } else {
+        status = 'wins'
+        reason = keyBinding.command === 'abort!' ? 'Wins and stops the keystroke' : 'Wins'
+        winner = keyBinding
+        winnerElement = element
+      }
+      listed.add(keyBinding)
+      candidates.push({keyBinding, element, status, reason})
+    }
+  }
+
+  return candidates
+}
+
+// Public: A short description of an element, like `atom-text-editor.editor`.
+const describeElement = (element) => {
+  const classes = Array.from(element.classList).slice(0, 3)
+  return [element.tagName.toLowerCase()].concat(classes).join('.')
+}
+
+module.exports = {resolveKeystrokes, getDisabledKeyBindings, describeElement}
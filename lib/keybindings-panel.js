@@ -1,13 +1,46 @@
 /** @babel */
 /** @jsx etch.dom */
 
-import {CompositeDisposable, TextEditor} from 'atom'
+import {CompositeDisposable, Disposable, TextEditor} from 'atom'
 import etch from 'etch'
 import _ from 'underscore-plus'
 import path from 'path'
+import url from 'url'
+import {normalizeKeystroke, isModifierKeystroke, keystrokesMatchSequence} from './keystroke-utils'
+import KeybindingEditor from './keybinding-editor'
+import KeymapWriter from './keymap-writer'
+import KeybindingConflictsView from './keybinding-conflicts-view'
+import KeybindingResolverView from './keybinding-resolver-view'
+import {findConflicts} from './keybinding-conflicts'
+
+// How long to wait for the next keystroke of a sequence, like Atom's keymap
+const KEYSTROKE_SEQUENCE_TIMEOUT = 1000
+
+const KEYBINDINGS_URI = 'atom://config/keybindings'
+
+const SORT_COLUMNS = ['keystrokes', 'command', 'source', 'selector']
+
+const DEFAULT_SORT = {column: 'keystrokes', descending: false}
+
+// Whether a selector is for the workspace, for text editors or for other
+// elements, such as the tree view. Selectors mentioning editors count as
+// editor selectors even when they also mention the workspace.
+function getSelectorType (selector) {
+  if (/atom-text-editor|\.editor\b/.test(selector)) return 'editor'
+  if (/atom-workspace|\.workspace\b|^body\b|[\s,]body\b/.test(selector)) return 'workspace'
+  return 'other'
+}
+
+function isPlatformSpecific (selector) {
+  return /\.platform-/.test(selector)
+}
 
 export default class KeybindingsPanel {
   constructor () {
+    this.recordedKeystrokes = null
+    this.mode = 'keybindings'
+    this.facets = {source: null, platform: null, selectorType: null}
+    this.sort = Object.assign({}, DEFAULT_SORT)
     etch.initialize(this)
     this.disposables = new CompositeDisposable()
     this.disposables.add(atom.commands.add(this.element, {
@@ -21,9 +54,7 @@ export default class KeybindingsPanel {
     this.otherPlatformPattern = new RegExp(`\\.platform-(?!${_.escapeRegExp(process.platform)}\\b)`)
     this.platformPattern = new RegExp(`\\.platform-${_.escapeRegExp(process.platform)}\\b`)
 
-    this.disposables.add(this.refs.searchEditor.onDidStopChanging(() => {
-      this.filterKeyBindings(this.keyBindings, this.refs.searchEditor.getText())
-    }))
+    this.disposables.add(this.refs.searchEditor.onDidStopChanging(() => { this.refilterKeyBindings() }))
 
     this.disposables.add(atom.keymaps.onDidReloadKeymap(() => { this.loadKeyBindings() }))
     this.disposables.add(atom.keymaps.onDidUnloadKeymap(() => { this.loadKeyBindings() }))
@@ -31,6 +62,10 @@ export default class KeybindingsPanel {
   }
 
   destroy () {
+    this.cancelRecording()
+    this.closeKeyBindingEditor()
+    if (this.conflictsView) this.conflictsView.destroy()
+    if (this.resolverView) this.resolverView.destroy()
     this.disposables.dispose()
     return etch.destroy(this)
   }
@@ -44,27 +79,86 @@ export default class KeybindingsPanel {
           <div className='section-heading icon icon-keyboard'>Keybindings</div>
           <div className='text native-key-bindings' tabIndex='-1'>
             <span className='icon icon-question' />
-            <span>You can override these keybindings by copying </span>
-            <span className='icon icon-clippy' />
-            <span>and pasting them into </span>
+            <span>Use the Edit, Override and Remove buttons of a keybinding to change it in </span>
             <a className='link' onclick={this.didClickOpenKeymapFile}>your keymap file</a>
+            <span>, or copy it with </span>
+            <span className='icon icon-clippy' />
+            <span>to edit the file by hand.</span>
+          </div>
+
+          <div className='keybinding-search'>
+            <div className='editor-container'>
+              <TextEditor mini={true} ref='searchEditor' placeholderText='Search keybindings' />
+            </div>
+            <button ref='recordButton' className='btn icon icon-primitive-dot record-keystroke-button' title='Search for the keys you press next' onclick={this.didClickRecordButton.bind(this)}>Record</button>
+            <button ref='conflictsButton' className='btn icon icon-alert show-conflicts-button' title='Show the keystrokes that several packages bind for the same elements' onclick={this.didClickConflictsButton.bind(this)}>
+              Conflicts <span ref='conflictCount' className='badge badge-small'>0</span>
+            </button>
+            <button ref='unboundCommandsButton' className='btn icon icon-list-unordered show-unbound-commands-button' title='Show the commands that have no keybinding' onclick={this.didClickUnboundCommandsButton.bind(this)}>
+              Unbound Commands
+            </button>
+            <button ref='resolverButton' className='btn icon icon-search show-resolver-button' title='Find out which keybinding a keystroke resolves to' onclick={this.didClickResolverButton.bind(this)}>
+              Resolve
+            </button>
+          </div>
+
+          <div className='keybinding-facets'>
+            <select ref='sourceFacet' className='form-control' title='Source' onchange={() => this.didChangeFacet('source', this.refs.sourceFacet.value)}>
+              <option value=''>All sources</option>
+            </select>
+            <select ref='platformFacet' className='form-control' title='Platform' onchange={() => this.didChangeFacet('platform', this.refs.platformFacet.value)}>
+              <option value=''>All platforms</option>
+              <option value='specific'>Platform-specific selectors</option>
+              <option value='generic'>Selectors for any platform</option>
+            </select>
+            <select ref='selectorTypeFacet' className='form-control' title='Selector' onchange={() => this.didChangeFacet('selectorType', this.refs.selectorTypeFacet.value)}>
+              <option value=''>All selectors</option>
+              <option value='workspace'>Workspace</option>
+              <option value='editor'>Editor</option>
+              <option value='other'>Other</option>
+            </select>
+            <button ref='copyLinkButton' className='btn icon icon-link copy-keybindings-link-button' title='Copy a link to the keybindings with these filters and sorting' onclick={() => atom.clipboard.write(this.getURI())} />
           </div>
 
-          <div className='editor-container'>
-            <TextEditor mini={true} ref='searchEditor' placeholderText='Search keybindings' />
+          <div ref='recordedKeystrokesMessage' className='recorded-keystrokes' style={{display: 'none'}}>
+            <span className='text-subtle'>Showing keybindings for </span>
+            <kbd ref='recordedKeystrokes' className='key-binding' />
+            <a ref='clearRecordedKeystrokesButton' className='icon icon-x clear-recorded-keystrokes' title='Show all keybindings' onclick={this.didClickClearRecordedKeystrokes.bind(this)} />
           </div>
 
-          <table className='native-key-bindings table text' tabIndex='-1'>
+          <div ref='conflictsContainer' className='keybinding-conflicts-container' style={{display: 'none'}} />
+
+          <div ref='resolverContainer' className='keybinding-resolver-container' style={{display: 'none'}} />
+
+          <table ref='unboundCommandsTable' className='native-key-bindings table text unbound-commands' tabIndex='-1' style={{display: 'none'}}>
+            <col className='command' />
+            <col className='package' />
+            <col className='description' />
+            <col className='actions' />
+            <thead>
+              <tr>
+                <th className='command'>Command</th>
+                <th className='package'>Package</th>
+                <th className='description'>Description</th>
+                <th className='actions' />
+              </tr>
+            </thead>
+            <tbody ref='unboundCommandRows' />
+          </table>
+
+          <table ref='keybindingTable' className='native-key-bindings table text' tabIndex='-1'>
             <col className='keystroke' />
             <col className='command' />
             <col className='source' />
             <col className='selector' />
+            <col className='actions' />
             <thead>
-              <tr>
-                <th className='keystroke'>Keystroke</th>
-                <th className='command'>Command</th>
-                <th className='source'>Source</th>
-                <th className='selector'>Selector</th>
+              <tr ref='sortHeadings'>
+                <th className='keystroke is-sortable' dataset={{column: 'keystrokes'}} onclick={() => this.sortBy('keystrokes')}>Keystroke</th>
+                <th className='command is-sortable' dataset={{column: 'command'}} onclick={() => this.sortBy('command')}>Command</th>
+                <th className='source is-sortable' dataset={{column: 'source'}} onclick={() => this.sortBy('source')}>Source</th>
+                <th className='selector is-sortable' dataset={{column: 'selector'}} onclick={() => this.sortBy('selector')}>Selector</th>
+                <th className='actions' />
               </tr>
             </thead>
             <tbody ref='keybindingRows' />
@@ -77,8 +171,185 @@ export default class KeybindingsPanel {
   loadKeyBindings () {
     this.refs.keybindingRows.innerHTML = ''
     this.keyBindings = _.sortBy(atom.keymaps.getKeyBindings(), 'keystrokes')
+    this.unboundCommands = null
     this.appendKeyBindings(this.keyBindings)
-    this.filterKeyBindings(this.keyBindings, this.refs.searchEditor.getText())
+    this.updateFacetControls()
+    this.refilterKeyBindings()
+    this.updateConflicts()
+  }
+
+  // Switches between the table of all keybindings (`keybindings`), the list
+  // of conflicting ones (`conflicts`), the commands without a keybinding
+  // (`unbound-commands`) and the keystroke resolver (`resolver`).
+  setMode (mode) {
+    this.mode = mode
+    this.unboundCommands = null
+    this.refs.keybindingTable.style.display = mode === 'keybindings' ? '' : 'none'
+    this.refs.conflictsContainer.style.display = mode === 'conflicts' ? '' : 'none'
+    this.refs.unboundCommandsTable.style.display = mode === 'unbound-commands' ? '' : 'none'
+    this.refs.resolverContainer.style.display = mode === 'resolver' ? '' : 'none'
+    this.refs.conflictsButton.classList.toggle('selected', mode === 'conflicts')
+    this.refs.unboundCommandsButton.classList.toggle('selected', mode === 'unbound-commands')
+    this.refs.resolverButton.classList.toggle('selected', mode === 'resolver')
+    this.refilterKeyBindings()
+  }
+
+  updateConflicts () {
+    const keyBindings = this.keyBindings.filter(({selector}) => this.showSelector(selector))
+    this.conflicts = findConflicts(keyBindings, ({source}) => KeybindingsPanel.determineSource(source) === 'User')
+    this.refs.conflictCount.textContent = this.conflicts.length
+    this.refs.conflictCount.classList.toggle('badge-warning', this.conflicts.length > 0)
+    if (this.conflictsView) {
+      this.conflictsView.update({conflicts: this.conflicts})
+    }
+  }
+
+  isShowingConflicts () {
+    return this.mode === 'conflicts'
+  }
+
+  // Public: Switches between the table of all keybindings and the list of
+  // conflicting ones.
+  showConflicts (show = true) {
+    if (show && this.conflictsView == null) {
+      this.conflictsView = new KeybindingConflictsView({
+        conflicts: this.conflicts,
+        determineSource: KeybindingsPanel.determineSource
+      })
+      this.conflictsView.onDidOverride(({conflict, keyBinding}) => {
+        const [winner] = conflict.keyBindings
+        this.writeKeymap(writer => writer.addKeyBinding({
+          selector: winner.selector,
+          keystrokes: conflict.keystrokes,
+          command: keyBinding.command
+        }))
+      })
+      this.conflictsView.onDidDisable(({keyBinding}) => {
+        this.writeKeymap(writer => writer.unsetKeyBinding(keyBinding))
+      })
+      this.refs.conflictsContainer.appendChild(this.conflictsView.element)
+    }
+
+    this.setMode(show ? 'conflicts' : 'keybindings')
+  }
+
+  isShowingResolver () {
+    return this.mode === 'resolver'
+  }
+
+  // Public: Switches between the table of all keybindings and the tool that
+  // explains which binding a keystroke resolves to in a given context.
+  showResolver (show = true) {
+    if (show && this.resolverView == null) {
+      this.resolverView = new KeybindingResolverView({
+        determineSource: KeybindingsPanel.determineSource,
+        recordKeystrokes: this.recordKeystrokes.bind(this)
+      })
+      this.refs.resolverContainer.appendChild(this.resolverView.element)
+    }
+
+    this.setMode(show ? 'resolver' : 'keybindings')
+    if (show) {
+      this.resolverView.resolve(this.resolverView.keystrokes)
+    }
+  }
+
+  isShowingUnboundCommands () {
+    return this.mode === 'unbound-commands'
+  }
+
+  // Public: Switches between the table of all keybindings and the list of
+  // commands that have no keybinding on this platform, which the search
+  // editor then filters by command and package.
+  showUnboundCommands (show = true) {
+    this.setMode(show ? 'unbound-commands' : 'keybindings')
+  }
+
+  // Returns the commands of the workspace and of text editors that have no
+  // keybinding on this platform, as `{name, displayName, description,
+  // packageName, selector}` objects sorted by name. Commands only found on
+  // editors are bound for `atom-text-editor`, the others for
+  // `atom-workspace`.
+  getUnboundCommands () {
+    const boundCommands = new Set()
+    for (const {command, selector} of this.keyBindings) {
+      if (this.showSelector(selector)) boundCommands.add(command)
+    }
+
+    const workspaceElement = atom.views.getView(atom.workspace)
+    const activeEditor = atom.workspace.getActiveTextEditor()
+    const editor = activeEditor || new TextEditor()
+    const commands = {}
+    for (const command of atom.commands.findCommands({target: editor.element})) {
+      commands[command.name] = Object.assign({selector: 'atom-text-editor'}, command)
+    }
+    for (const command of atom.commands.findCommands({target: workspaceElement})) {
+      commands[command.name] = Object.assign({selector: 'atom-workspace'}, command)
+    }
+    if (editor !== activeEditor) editor.destroy()
+
+    return _.sortBy(_.values(commands).filter(({name}) => !boundCommands.has(name)), 'name').map((command) => {
+      const packageName = command.name.split(':')[0]
+      return {
+        name: command.name,
+        displayName: command.displayName || _.humanizeEventName(command.name),
+        description: command.description || '',
+        packageName: atom.packages.getLoadedPackage(packageName) ? _.undasherize(_.uncamelcase(packageName)) : 'Core',
+        selector: command.selector
+      }
+    })
+  }
+
+  filterUnboundCommands (filterString) {
+    this.closeKeyBindingEditor()
+    this.refs.unboundCommandRows.innerHTML = ''
+    const keywords = filterString.trim().toLowerCase().split(' ')
+    if (this.unboundCommands == null) {
+      this.unboundCommands = this.getUnboundCommands()
+    }
+
+    for (const command of this.unboundCommands) {
+      const searchString = `${command.name} ${command.displayName} ${command.packageName}`.toLowerCase()
+      if (keywords.every(keyword => searchString.indexOf(keyword) !== -1)) {
+        this.refs.unboundCommandRows.appendChild(this.elementForUnboundCommand(command))
+      }
+    }
+  }
+
+  elementForUnboundCommand (command) {
+    const tr = document.createElement('tr')
+    tr.dataset.command = command.name
+
+    const commandTd = document.createElement('td')
+    commandTd.classList.add('command')
+    commandTd.textContent = command.name
+    tr.appendChild(commandTd)
+
+    const packageTd = document.createElement('td')
+    packageTd.classList.add('package')
+    packageTd.textContent = command.packageName
+    tr.appendChild(packageTd)
+
+    const descriptionTd = document.createElement('td')
+    descriptionTd.classList.add('description')
+    descriptionTd.textContent = command.description || command.displayName
+    tr.appendChild(descriptionTd)
+
+    const actionsTd = document.createElement('td')
+    actionsTd.classList.add('actions')
+    const bindButton = this.buttonForKeyBinding('Bind', 'keyboard', 'Press the keys to bind to this command', () => {
+      this.recordKeystrokes(bindButton, {
+        onDidStop: (keystrokes) => {
+          const keyBinding = {keystrokes, command: command.name, selector: command.selector}
+          this.openKeyBindingEditor(tr, keyBinding, 'Bind')
+        }
+      })
+    })
+    bindButton.classList.add('btn-xs')
+    actionsTd.appendChild(bindButton)
+    tr.appendChild(actionsTd)
+
+    return tr
   }
 
   focus () {
@@ -89,9 +360,145 @@ export default class KeybindingsPanel {
     this.element.style.display = ''
   }
 
+  beforeShow (options) {
+    // The settings view restores the saved state after this, which must not
+    // replace the facets and sorting of a linked URI
+    this.hasFacetsFromURI = false
+    if (options && options.uri) {
+      const {query} = url.parse(options.uri, true)
+      if (SORT_COLUMNS.includes(query.sort) || query.source || query.platform || query.selectorType) {
+        this.setFacetsAndSort({
+          facets: {source: query.source, platform: query.platform, selectorType: query.selectorType},
+          sort: {column: query.sort, descending: query.descending === 'true'}
+        })
+        this.hasFacetsFromURI = true
+      }
+    }
+  }
+
+  serialize () {
+    return {
+      filterText: this.refs.searchEditor.getText(),
+      facets: Object.assign({}, this.facets),
+      sort: Object.assign({}, this.sort)
+    }
+  }
+
+  restoreState ({filterText, facets, sort}) {
+    if (filterText) {
+      this.refs.searchEditor.setText(filterText)
+    }
+    if ((facets || sort) && !this.hasFacetsFromURI) {
+      this.setFacetsAndSort({facets, sort})
+    }
+  }
+
+  // Public: Returns the URI of the panel with its facets and sorting, which
+  // opens the panel in the same state.
+  getURI () {
+    const query = {}
+    for (const name of Object.keys(this.facets)) {
+      if (this.facets[name]) query[name] = this.facets[name]
+    }
+    if (this.sort.column !== DEFAULT_SORT.column || this.sort.descending) {
+      query.sort = this.sort.column
+      if (this.sort.descending) query.descending = 'true'
+    }
+    return url.format({pathname: KEYBINDINGS_URI, query})
+  }
+
+  // Public: Filters the table by `facets`, an {Object} with the optional
+  // `source` (as returned by `determineSource`), `platform` (`specific` or
+  // `generic`) and `selectorType` (`workspace`, `editor` or `other`), and
+  // sorts it by `sort`, an {Object} with a `column` of `keystrokes`,
+  // `command`, `source` or `selector` and whether it is `descending`.
+  setFacetsAndSort ({facets, sort}) {
+    if (facets) {
+      this.facets = {
+        source: facets.source || null,
+        platform: ['specific', 'generic'].includes(facets.platform) ? facets.platform : null,
+        selectorType: ['workspace', 'editor', 'other'].includes(facets.selectorType) ? facets.selectorType : null
+      }
+    }
+    if (sort) {
+      this.sort = {
+        column: SORT_COLUMNS.includes(sort.column) ? sort.column : DEFAULT_SORT.column,
+        descending: sort.descending === true
+      }
+    }
+    this.updateFacetControls()
+    this.refilterKeyBindings()
+  }
+
+  didChangeFacet (name, value) {
+    this.setFacetsAndSort({facets: Object.assign({}, this.facets, {[name]: value})})
+  }
+
+  // Sorts by `column`, or reverses the order when already sorted by it
+  sortBy (column) {
+    const descending = this.sort.column === column ? !this.sort.descending : false
+    this.setFacetsAndSort({sort: {column, descending}})
+  }
+
+  updateFacetControls () {
+    this.updateSourceFacetOptions()
+    this.refs.sourceFacet.value = this.facets.source || ''
+    this.refs.platformFacet.value = this.facets.platform || ''
+    this.refs.selectorTypeFacet.value = this.facets.selectorType || ''
+
+    for (const heading of this.refs.sortHeadings.querySelectorAll('th.is-sortable')) {
+      const isSorted = heading.dataset.column === this.sort.column
+      heading.classList.toggle('is-sorted', isSorted)
+      heading.classList.toggle('is-descending', isSorted && this.sort.descending)
+    }
+  }
+
+  // Lists Core, User and each package with keybindings, plus the chosen
+  // source when no binding comes from it anymore.
+  updateSourceFacetOptions () {
+    const sources = new Set()
+    for (const {selector, source} of this.keyBindings) {
+      if (this.showSelector(selector)) sources.add(KeybindingsPanel.determineSource(source))
+    }
+    if (this.facets.source) sources.add(this.facets.source)
+    const sortedSources = ['Core', 'User'].filter(source => sources.delete(source)).concat(Array.from(sources).sort())
+
+    const select = this.refs.sourceFacet
+    while (select.options.length > 1) select.remove(1)
+    for (const source of sortedSources) {
+      const option = document.createElement('option')
+      option.value = source
+      option.textContent = source
+      select.appendChild(option)
+    }
+  }
+
+  matchesFacets ({selector, source}) {
+    const {source: sourceFacet, platform, selectorType} = this.facets
+    if (sourceFacet && KeybindingsPanel.determineSource(source) !== sourceFacet) return false
+    if (platform && isPlatformSpecific(selector) !== (platform === 'specific')) return false
+    if (selectorType && getSelectorType(selector) !== selectorType) return false
+    return true
+  }
+
+  sortKeyBindings (keyBindings) {
+    const {column, descending} = this.sort
+    const sortKey = column === 'source'
+      ? (keyBinding) => KeybindingsPanel.determineSource(keyBinding.source).toLowerCase()
+      : (keyBinding) => (keyBinding[column] || '').toLowerCase()
+    const sorted = _.sortBy(keyBindings, sortKey)
+    return descending ? sorted.reverse() : sorted
+  }
+
   filterKeyBindings (keyBindings, filterString) {
+    this.closeKeyBindingEditor()
     this.refs.keybindingRows.innerHTML = ''
-    for (let keyBinding of keyBindings) {
+    const keywords = filterString.trim().split(' ')
+    for (let keyBinding of this.sortKeyBindings(keyBindings)) {
+      if (!this.matchesFacets(keyBinding)) {
+        continue
+      }
+
       let {selector, keystrokes, command, source} = keyBinding
       source = KeybindingsPanel.determineSource(source)
       var searchString = `${selector}${keystrokes}${command}${source}`.toLowerCase()
@@ -99,13 +506,140 @@ export default class KeybindingsPanel {
         continue
       }
 
-      const keywords = filterString.trim().toLowerCase().split(' ')
-      if (keywords.every(keyword => searchString.indexOf(keyword) !== -1)) {
+      if (this.recordedKeystrokes && !keystrokesMatchSequence(keystrokes, this.recordedKeystrokes)) {
+        continue
+      }
+
+      if (keywords.every(keyword => this.matchesKeyword(searchString, keystrokes, keyword))) {
         this.appendKeyBinding(keyBinding)
       }
     }
   }
 
+  // Keywords that are keystrokes in another notation, like `cmd+shift+p`,
+  // also match bindings for that keystroke.
+  matchesKeyword (searchString, keystrokes, keyword) {
+    if (searchString.indexOf(keyword.toLowerCase()) !== -1) {
+      return true
+    }
+
+    const keystroke = normalizeKeystroke(keyword)
+    return keystroke != null && keystrokes.split(' ').includes(keystroke)
+  }
+
+  refilterKeyBindings () {
+    if (this.mode === 'unbound-commands') {
+      this.filterUnboundCommands(this.refs.searchEditor.getText())
+    } else {
+      this.filterKeyBindings(this.keyBindings, this.refs.searchEditor.getText())
+    }
+  }
+
+  isRecording () {
+    return this.recording != null
+  }
+
+  // Public: Captures the next keystrokes instead of letting them dispatch
+  // commands, and shows only the bindings for them. Recording stops when no
+  // key is pressed for a second, like when Atom waits for a sequence.
+  startRecording () {
+    this.recordKeystrokes(this.refs.recordButton, {
+      onDidChange: (keystrokes) => this.setRecordedKeystrokes(keystrokes)
+    })
+  }
+
+  // Captures keystrokes until no key is pressed for a while, showing that
+  // `button` is recording. `onDidChange` is called with the keystrokes after
+  // each key and `onDidStop` with all of them once recording stops.
+  recordKeystrokes (button, {onDidChange, onDidStop}) {
+    this.cancelRecording()
+
+    const keystrokes = []
+    const keydownHandler = (event) => {
+      event.preventDefault()
+      event.stopImmediatePropagation()
+
+      const keystroke = atom.keymaps.keystrokeForKeyboardEvent(event)
+      if (isModifierKeystroke(keystroke)) return
+
+      keystrokes.push(keystroke)
+      if (onDidChange) onDidChange(keystrokes.join(' '))
+      clearTimeout(this.recordingTimeout)
+      this.recordingTimeout = setTimeout(() => this.stopRecording(), KEYSTROKE_SEQUENCE_TIMEOUT)
+    }
+    // Capture the keys before the keymap manager sees them
+    document.addEventListener('keydown', keydownHandler, true)
+    this.recording = {
+      button,
+      label: button.textContent,
+      keystrokes,
+      onDidStop,
+      subscription: new Disposable(() => document.removeEventListener('keydown', keydownHandler, true))
+    }
+
+    button.classList.add('selected')
+    button.textContent = 'Press keys…'
+  }
+
+  stopRecording () {
+    if (!this.isRecording()) return
+
+    const {button, label, keystrokes, onDidStop, subscription} = this.recording
+    this.recording = null
+    clearTimeout(this.recordingTimeout)
+    subscription.dispose()
+
+    button.classList.remove('selected')
+    button.textContent = label
+    if (onDidStop && keystrokes.length > 0) {
+      onDidStop(keystrokes.join(' '))
+    }
+  }
+
+  cancelRecording () {
+    if (this.isRecording()) {
+      this.recording.onDidStop = null
+      this.stopRecording()
+    }
+  }
+
+  setRecordedKeystrokes (keystrokes) {
+    this.recordedKeystrokes = keystrokes
+    if (keystrokes) {
+      this.refs.recordedKeystrokes.textContent = keystrokes
+      this.refs.recordedKeystrokesMessage.style.display = ''
+    } else {
+      this.refs.recordedKeystrokesMessage.style.display = 'none'
+    }
+    this.refilterKeyBindings()
+  }
+
+  didClickRecordButton () {
+    if (this.isRecording() && this.recording.button === this.refs.recordButton) {
+      this.stopRecording()
+    } else {
+      this.setRecordedKeystrokes(null)
+      this.startRecording()
+    }
+  }
+
+  didClickConflictsButton () {
+    this.showConflicts(!this.isShowingConflicts())
+  }
+
+  didClickResolverButton () {
+    this.showResolver(!this.isShowingResolver())
+  }
+
+  didClickUnboundCommandsButton () {
+    this.showUnboundCommands(!this.isShowingUnboundCommands())
+  }
+
+  didClickClearRecordedKeystrokes () {
+    this.stopRecording()
+    this.setRecordedKeystrokes(null)
+  }
+
   appendKeyBindings (keyBindings) {
     for (const keyBinding of keyBindings) {
       this.appendKeyBinding(keyBinding)
@@ -187,9 +721,92 @@ export default class KeybindingsPanel {
     selectorTd.textContent = selector
     tr.appendChild(selectorTd)
 
+    const actionsTd = document.createElement('td')
+    actionsTd.classList.add('actions')
+    const buttonGroup = document.createElement('div')
+    buttonGroup.classList.add('btn-group', 'btn-group-xs')
+    if (source === 'User') {
+      buttonGroup.appendChild(this.buttonForKeyBinding('Edit', 'pencil', 'Change this binding in your keymap file', () => {
+        this.openKeyBindingEditor(tr, keyBinding, 'Save')
+      }))
+      buttonGroup.appendChild(this.buttonForKeyBinding('Remove', 'trashcan', 'Remove this binding from your keymap file', () => {
+        this.writeKeymap(writer => writer.removeKeyBinding(keyBinding))
+      }))
+    } else {
+      buttonGroup.appendChild(this.buttonForKeyBinding('Override', 'pencil', 'Replace this binding with one in your keymap file', () => {
+        this.openKeyBindingEditor(tr, keyBinding, 'Override')
+      }))
+      buttonGroup.appendChild(this.buttonForKeyBinding('Remove', 'trashcan', 'Disable this binding with `unset!` in your keymap file', () => {
+        this.writeKeymap(writer => writer.unsetKeyBinding(keyBinding))
+      }))
+    }
+    actionsTd.appendChild(buttonGroup)
+    tr.appendChild(actionsTd)
+
     return tr
   }
 
+  buttonForKeyBinding (label, iconName, title, onClick) {
+    const button = document.createElement('button')
+    button.classList.add('btn', 'icon', `icon-${iconName}`, `${label.toLowerCase()}-keybinding-button`)
+    button.textContent = label
+    button.title = title
+    button.addEventListener('click', onClick)
+    return button
+  }
+
+  // Shows a form below `row` to change `keyBinding`. User bindings are
+  // changed in place; other bindings are overridden by a user binding, and
+  // their keystrokes are unset when the override uses different keys. New
+  // bindings, which have no source, are added.
+  openKeyBindingEditor (row, keyBinding, confirmLabel) {
+    this.closeKeyBindingEditor()
+
+    const source = keyBinding.source != null ? KeybindingsPanel.determineSource(keyBinding.source) : null
+    this.keyBindingEditor = new KeybindingEditor({keyBinding, confirmLabel})
+    this.keyBindingEditor.onDidCancel(() => this.closeKeyBindingEditor())
+    this.keyBindingEditor.onDidConfirm((newKeyBinding) => {
+      const written = this.writeKeymap((writer) => {
+        if (source === 'User') {
+          writer.replaceKeyBinding(keyBinding, newKeyBinding)
+        } else {
+          writer.addKeyBinding(newKeyBinding)
+          if (source && (newKeyBinding.keystrokes !== keyBinding.keystrokes || newKeyBinding.selector !== keyBinding.selector)) {
+            writer.unsetKeyBinding(keyBinding)
+          }
+        }
+      })
+      if (written) this.closeKeyBindingEditor()
+    })
+    row.parentNode.insertBefore(this.keyBindingEditor.element, row.nextSibling)
+    this.keyBindingEditor.focus()
+  }
+
+  closeKeyBindingEditor () {
+    if (this.keyBindingEditor) {
+      this.keyBindingEditor.destroy()
+      this.keyBindingEditor = null
+    }
+  }
+
+  // Changes the user keymap with `callback`, which receives a
+  // {KeymapWriter}. Atom reloads the keymap once the file is written, and the
+  // table follows through `onDidReloadKeymap`.
+  //
+  // Returns `true` when the keymap was written.
+  writeKeymap (callback) {
+    try {
+      callback(new KeymapWriter(atom.keymaps.getUserKeymapPath()))
+      return true
+    } catch (error) {
+      atom.notifications.addError('Failed to update your keymap', {
+        detail: `${atom.keymaps.getUserKeymapPath()}\n\n${error.message}`,
+        dismissable: true
+      })
+      return false
+    }
+  }
+
   didClickOpenKeymapFile (e) {
     e.preventDefault()
     atom.commands.dispatch(atom.views.getView(atom.workspace), 'application:open-your-keymap')
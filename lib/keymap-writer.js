@@ -0,0 +1,217 @@
+const path = require('path')
+const fs = require('fs-plus')
+const CSON = require('season')
+
+// The value Atom uses to disable a binding from another keymap
+const UNSET_COMMAND = 'unset!'
+
+// A quoted or bare key followed by a colon, as in `'atom-text-editor':`
+const KEY = `(?:'((?:[^'\\\\]|\\\\.)*)'|"((?:[^"\\\\]|\\\\.)*)"|([^\\s'"#:][^:#]*?))\\s*:`
+const SELECTOR_PATTERN = new RegExp(`^${KEY}\\s*(?:#.*)?$`)
+const ENTRY_PATTERN = new RegExp(`^(\\s+)${KEY}`)
+// A quoted or bare value and the comment after it, if any
+const VALUE_PATTERN = /^\s*(?:'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^#]*?)(\s*#.*)?$/
+
+const unquote = (match, offset) => {
+  const key = match[offset] != null ? match[offset] : match[offset + 1] != null ? match[offset + 1] : match[offset + 2]
+  return key.replace(/\\(.)/g, '$1')
+}
+
+const quote = (string) => {
+  const escaped = string.replace(/\\/g, '\\\\')
+  if (string.includes("'") && !/["#]/.test(string)) return `"${escaped}"`
+  return `'${escaped.replace(/'/g, "\\'")}'`
+}
+
+const getIndent = (line) => /^\s*/.exec(line)[0]
+
+// Finds the top-level selector blocks of a CSON keymap and the bindings in
+// them, without parsing the file, so that comments and formatting survive.
+//
+// Each binding has the `index` of its line and the `endIndex` of its last
+// one, which differ when the command is on the next line, as in
+// `'ctrl-a':\n    'foo:bar'`, and the `comment` that follows the command.
+const parseCSONBlocks = (lines) => {
+  const blocks = []
+  let block = null
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return
+
+    if (/^\S/.test(line)) {
+      const match = SELECTOR_PATTERN.exec(line)
+      block = match ? {selector: unquote(match, 1), index, lastIndex: index, entries: [], indent: null} : null
+      if (block) blocks.push(block)
+      return
+    }
+
+    if (block == null) return
+    block.lastIndex = index
+
+    const lastEntry = block.entries[block.entries.length - 1]
+    if (lastEntry && lastEntry.isMultiline && lastEntry.endIndex === index - 1 && getIndent(line).length > block.indent.length) {
+      lastEntry.endIndex = index
+      lastEntry.comment = getComment(line) || lastEntry.comment
+      return
+    }
+
+    const match = ENTRY_PATTERN.exec(line)
+    if (match && (block.indent == null || match[1] === block.indent)) {
+      const value = line.slice(match[0].length)
+      block.indent = match[1]
+      block.entries.push({
+        keystrokes: unquote(match, 2),
+        index,
+        endIndex: index,
+        isMultiline: value.trim() === '' || value.trim().startsWith('#'),
+        comment: getComment(value)
+      })
+    }
+  })
+  return blocks
+}
+
+const getComment = (value) => {
+  const match = VALUE_PATTERN.exec(value)
+  return match && match[1] ? match[1] : ''
+}
+
+// Sets the binding for `keystrokes` in the last block for `selector`, the
+// one CSON keeps when a selector is repeated, replacing the binding for
+// `previousKeystrokes` in place. A `null` command removes the binding.
+const updateCSON = (text, {selector, keystrokes, command, previousKeystrokes}) => {
+  const lines = text.split('\n')
+  const blocks = parseCSONBlocks(lines).filter((block) => block.selector === selector)
+  const removedIndexes = new Set()
+  const removeEntry = ({index, endIndex}) => {
+    for (let i = index; i <= endIndex; i++) removedIndexes.add(i)
+  }
+
+  if (command == null) {
+    for (const block of blocks) {
+      const entries = block.entries.filter((entry) => entry.keystrokes === keystrokes)
+      for (const entry of entries) removeEntry(entry)
+      if (entries.length > 0 && entries.length === block.entries.length && block.lastIndex === entries[entries.length - 1].endIndex) {
+        removedIndexes.add(block.index)
+        if (block.index > 0 && lines[block.index - 1].trim() === '') removedIndexes.add(block.index - 1)
+      }
+    }
+  } else {
+    const block = blocks[blocks.length - 1]
+    const line = (indent) => `${indent}${quote(keystrokes)}: ${quote(command)}`
+    if (block) {
+      const entry =
+        block.entries.find((entry) => entry.keystrokes === previousKeystrokes) ||
+        block.entries.find((entry) => entry.keystrokes === keystrokes)
+      if (entry) {
+        // Keeps the comment after the command, and puts a command that was
+        // on its own line back on the line of its keystrokes
+        lines[entry.index] = `${line(block.indent)}${entry.comment}`
+        removeEntry({index: entry.index + 1, endIndex: entry.endIndex})
+        for (const other of block.entries) {
+          if (other.keystrokes === keystrokes && other !== entry) removeEntry(other)
+        }
+      } else {
+        lines.splice(block.lastIndex + 1, 0, line(block.indent || '  '))
+      }
+    } else {
+      while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop()
+      if (lines.length > 0) lines.push('')
+      lines.push(`${quote(selector)}:`, line('  '), '')
+    }
+  }
+
+  return lines.filter((line, index) => !removedIndexes.has(index)).join('\n')
+}
+
+const updateJSON = (text, {selector, keystrokes, command, previousKeystrokes}) => {
+  const keymap = text.trim() ? JSON.parse(text) : {}
+  const bindings = keymap[selector] || {}
+  const updatedBindings = {}
+  let updated = false
+  for (const key of Object.keys(bindings)) {
+    if (key === previousKeystrokes || key === keystrokes) {
+      if (command != null && !updated) updatedBindings[keystrokes] = command
+      updated = true
+    } else {
+      updatedBindings[key] = bindings[key]
+    }
+  }
+  if (command != null && !updated) updatedBindings[keystrokes] = command
+
+  if (Object.keys(updatedBindings).length > 0) {
+    keymap[selector] = updatedBindings
+  } else {
+    delete keymap[selector]
+  }
+
+  const indentMatch = /\n([ \t]+)"/.exec(text)
+  return `${JSON.stringify(keymap, null, indentMatch ? indentMatch[1] : 2)}\n`
+}
+
+// Writes bindings to the user's keymap file, `keymap.cson` or `keymap.json`.
+//
+// CSON keymaps are edited line by line so that comments and formatting are
+// kept; the result is parsed before it is written so a keymap is never left
+// broken. Atom reloads the file once it changes, which emits
+// `onDidReloadKeymap`.
+module.exports = class KeymapWriter {
+  constructor (keymapPath) {
+    this.keymapPath = keymapPath != null ? keymapPath : atom.keymaps.getUserKeymapPath()
+  }
+
+  isJSON () {
+    return path.extname(this.keymapPath) === '.json'
+  }
+
+  // Public: Binds `keystrokes` to `command` for `selector`, replacing any
+  // user binding of those keystrokes for the same selector.
+  addKeyBinding ({selector, keystrokes, command}) {
+    this.update({selector, keystrokes, command, previousKeystrokes: keystrokes})
+  }
+
+  // Public: Replaces the user binding `previous` by `binding`, keeping its
+  // place in the keymap when the selector is unchanged.
+  replaceKeyBinding (previous, binding) {
+    if (previous.selector === binding.selector) {
+      this.update({
+        selector: binding.selector,
+        keystrokes: binding.keystrokes,
+        command: binding.command,
+        previousKeystrokes: previous.keystrokes
+      })
+    } else {
+      this.removeKeyBinding(previous)
+      this.addKeyBinding(binding)
+    }
+  }
+
+  // Public: Removes the user binding of `keystrokes` for `selector`.
+  removeKeyBinding ({selector, keystrokes}) {
+    this.update({selector, keystrokes, command: null})
+  }
+
+  // Public: Disables a binding that comes from Atom or a package by binding
+  // its keystrokes to `unset!` in the user keymap.
+  unsetKeyBinding ({selector, keystrokes}) {
+    this.addKeyBinding({selector, keystrokes, command: UNSET_COMMAND})
+  }
+
+  update (change) {
+    const text = fs.isFileSync(this.keymapPath) ? fs.readFileSync(this.keymapPath, 'utf8') : ''
+    let updatedText
+    if (this.isJSON()) {
+      updatedText = updateJSON(text, change)
+    } else {
+      updatedText = updateCSON(text, change)
+      // A keymap with nothing but comments is valid but does not parse
+      if (updatedText.split('\n').some((line) => line.trim() && !line.trim().startsWith('#'))) {
+        CSON.parse(updatedText)
+      }
+    }
+    fs.writeFileSync(this.keymapPath, updatedText)
+  }
+}
+
+module.exports.updateCSON = updateCSON
+module.exports.updateJSON = updateJSON
+module.exports.UNSET_COMMAND = UNSET_COMMAND
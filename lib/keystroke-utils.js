@@ -0,0 +1,128 @@
+// Modifiers in the order Atom writes them in keystrokes
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'cmd']
+
+const MODIFIER_ALIASES = {
+  ctrl: 'ctrl',
+  control: 'ctrl',
+  ctl: 'ctrl',
+  '⌃': 'ctrl',
+  alt: 'alt',
+  option: 'alt',
+  opt: 'alt',
+  '⌥': 'alt',
+  shift: 'shift',
+  '⇧': 'shift',
+  cmd: 'cmd',
+  command: 'cmd',
+  meta: 'cmd',
+  super: 'cmd',
+  win: 'cmd',
+  '⌘': 'cmd'
+}
+
+const KEY_ALIASES = {
+  esc: 'escape',
+  return: 'enter',
+  del: 'delete',
+  ins: 'insert',
+  bksp: 'backspace',
+  pgup: 'pageup',
+  pgdn: 'pagedown',
+  arrowup: 'up',
+  arrowdown: 'down',
+  arrowleft: 'left',
+  arrowright: 'right',
+  '↑': 'up',
+  '↓': 'down',
+  '←': 'left',
+  '→': 'right',
+  '⏎': 'enter',
+  '↵': 'enter',
+  '⌫': 'backspace',
+  '⌦': 'delete',
+  '⎋': 'escape',
+  '⇥': 'tab',
+  spacebar: 'space'
+}
+
+// Splits `ctrl+shift+p` or `ctrl-shift-p` into its parts. A separator that
+// starts a part is the key itself, as in `ctrl--`.
+const splitKeystroke = (keystroke) => {
+  const parts = []
+  let part = ''
+  for (const char of keystroke) {
+    if ((char === '-' || char === '+') && part) {
+      parts.push(part)
+      part = ''
+    } else {
+      part += char
+    }
+  }
+  if (part) parts.push(part)
+  return parts
+}
+
+// Public: Converts a single keystroke written in a common notation, such as
+// `cmd+shift+p`, `Ctrl-Alt-Del` or `⌘⇧P`, to Atom's notation.
+//
+// Returns the keystroke as a {String} like `shift-cmd-P`, or `null` when the
+// text is not a keystroke.
+const normalizeKeystroke = (keystroke) => {
+  let text = keystroke.trim()
+  // Symbols such as `⌘⇧P` are written without separators
+  text = text.replace(/([⌃⌥⇧⌘])(?=[^+-])/g, '$1-')
+  const parts = splitKeystroke(text)
+  if (parts.length === 0) return null
+
+  const modifiers = new Set()
+  for (const part of parts.slice(0, -1)) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()]
+    if (modifier == null) return null
+    modifiers.add(modifier)
+  }
+
+  let key = parts[parts.length - 1]
+  const modifierKey = MODIFIER_ALIASES[key.toLowerCase()]
+  if (modifierKey && modifiers.size === 0) return modifierKey
+  if (key.length > 1) {
+    key = key.toLowerCase()
+    key = KEY_ALIASES[key] || key
+  } else if (KEY_ALIASES[key]) {
+    key = KEY_ALIASES[key]
+  } else if (/^[a-z]$/i.test(key)) {
+    // Atom writes shifted letters in upper case, so an upper case letter
+    // implies shift in its notation but not in others like `Ctrl+K`
+    const isAtomNotation = !text.includes('+') && parts.slice(0, -1).every((part) => MODIFIERS.includes(part))
+    if (isAtomNotation && key === key.toUpperCase()) modifiers.add('shift')
+    key = modifiers.has('shift') ? key.toUpperCase() : key.toLowerCase()
+  }
+
+  return MODIFIERS.filter((modifier) => modifiers.has(modifier)).concat(key).join('-')
+}
+
+// Public: Converts a sequence of keystrokes separated by spaces, like
+// `Ctrl+K Ctrl+B`, to Atom's notation.
+//
+// Returns a {String} or `null` when any part is not a keystroke.
+const normalizeKeystrokes = (keystrokes) => {
+  const normalized = []
+  for (const keystroke of keystrokes.trim().split(/\s+/)) {
+    const normalizedKeystroke = normalizeKeystroke(keystroke)
+    if (normalizedKeystroke == null) return null
+    normalized.push(normalizedKeystroke)
+  }
+  return normalized.join(' ')
+}
+
+// Public: Is `keystroke` a lone modifier such as `ctrl`? Recording ignores
+// these until another key is pressed.
+const isModifierKeystroke = (keystroke) => MODIFIERS.includes(keystroke)
+
+// Public: Does a binding for `keystrokes` match the recorded `sequence`
+// exactly, or start with it when the binding takes several keystrokes?
+const keystrokesMatchSequence = (keystrokes, sequence) => {
+  const normalized = normalizeKeystrokes(keystrokes) || keystrokes
+  return normalized === sequence || normalized.startsWith(`${sequence} `)
+}
+
+module.exports = {normalizeKeystroke, normalizeKeystrokes, isModifierKeystroke, keystrokesMatchSequence, MODIFIERS}
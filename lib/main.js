@@ -6,6 +6,19 @@ let statusView = null
 const PackageManager = require('./package-manager')
 let packageManager = null
 
+const ProfileManager = require('./profile-manager')
+let profileManager = null
+let profileListView = null
+
+let settingsHistory = null
+
+// The history starts logging config changes once the settings view is
+// created, so it is only loaded when needed.
+const getSettingsHistory = () => {
+  if (settingsHistory == null) settingsHistory = require('./settings-history')
+  return settingsHistory
+}
+
 const SnippetsProvider = {
   getSnippets() { return atom.config.scopedSettingsStore.propertySets }
 }
@@ -17,6 +30,11 @@ const openPanel = (settingsView, panelName, uri) => {
   const match = uriRegex.exec(uri)
 
   const options = {uri}
+  // `atom://config/core#core.themes` reveals a single setting
+  const hashIndex = uri.indexOf('#')
+  if (hashIndex !== -1 && hashIndex < uri.length - 1) {
+    options.keyPath = decodeURIComponent(uri.slice(hashIndex + 1))
+  }
   if (match) {
     const panel = match[1]
     const detail = match[2]
@@ -33,7 +51,11 @@ const openPanel = (settingsView, panelName, uri) => {
 module.exports = {
   handleURI(parsed) {
     switch (parsed.pathname) {
-      case '/show-package': this.showPackage(parsed.query.package)
+      case '/show-package': this.showPackage(parsed.query.package); break
+      case '/show-setting': this.showSetting(parsed.query.keyPath); break
+      default:
+        // atom://settings-view/core#core.themes works like atom://config/core#core.themes
+        if (parsed.hash) atom.workspace.open(`${CONFIG_URI}${parsed.pathname || ''}${parsed.hash}`)
     }
   },
 
@@ -41,6 +63,13 @@ module.exports = {
     atom.workspace.open(`atom://config/packages/${packageName}`)
   },
 
+  showSetting(keyPath) {
+    if (keyPath) {
+      const {getSettingURI} = require('./settings-utils')
+      atom.workspace.open(getSettingURI(keyPath))
+    }
+  },
+
   activate() {
     atom.workspace.addOpener(uri => {
       if (uri.startsWith(CONFIG_URI)) {
@@ -62,6 +91,9 @@ module.exports = {
       'settings-view:open'() { atom.workspace.open(CONFIG_URI) },
       'settings-view:core'() { atom.workspace.open(`${CONFIG_URI}/core`) },
       'settings-view:editor'() { atom.workspace.open(`${CONFIG_URI}/editor`) },
+      'settings-view:show-modified-settings'() { atom.workspace.open(`${CONFIG_URI}/modified`) },
+      'settings-view:show-scoped-settings'() { atom.workspace.open(`${CONFIG_URI}/scoped`) },
+      'settings-view:clean-up-config'() { atom.workspace.open(`${CONFIG_URI}/cleanup`) },
       'settings-view:show-keybindings'() { atom.workspace.open(`${CONFIG_URI}/keybindings`) },
       'settings-view:change-themes'() { atom.workspace.open(`${CONFIG_URI}/themes`) },
       'settings-view:install-packages-and-themes'() { atom.workspace.open(`${CONFIG_URI}/install`) },
@@ -69,7 +101,21 @@ module.exports = {
       'settings-view:uninstall-themes'() { atom.workspace.open(`${CONFIG_URI}/themes`) },
       'settings-view:view-installed-packages'() { atom.workspace.open(`${CONFIG_URI}/packages`) },
       'settings-view:uninstall-packages'() { atom.workspace.open(`${CONFIG_URI}/packages`) },
-      'settings-view:check-for-package-updates'() { atom.workspace.open(`${CONFIG_URI}/updates`) }
+      'settings-view:check-for-package-updates'() { atom.workspace.open(`${CONFIG_URI}/updates`) },
+      'settings-view:show-profiles'() { atom.workspace.open(`${CONFIG_URI}/profiles`) },
+      'settings-view:switch-profile': () => { this.switchProfile() },
+      'settings-view:undo-profile-switch': () => { this.undoProfileSwitch() },
+      'settings-view:undo-setting-change': () => { this.undoSettingChange() },
+      'settings-view:redo-setting-change': () => { this.redoSettingChange() },
+      'settings-view:lint-package-schema': () => { this.lintPackageSchema() },
+      'settings-view:export-environment'() {
+        if (packageManager == null) packageManager = new PackageManager()
+        require('./environment-bundle').exportEnvironment(packageManager)
+      },
+      'settings-view:import-environment'() {
+        if (packageManager == null) packageManager = new PackageManager()
+        require('./environment-bundle').importEnvironment(packageManager)
+      }
     })
 
     if (process.platform === 'win32' && require('atom').WinShell != null) {
@@ -85,10 +131,14 @@ module.exports = {
   },
 
   deactivate() {
+    if (settingsHistory) settingsHistory.deactivate()
     if (settingsView) settingsView.destroy()
     if (statusView) statusView.destroy()
+    if (profileListView) profileListView.destroy()
     settingsView = null
     packageManager = null
+    profileManager = null
+    profileListView = null
     statusView = null
   },
 
@@ -112,12 +162,111 @@ module.exports = {
   createSettingsView(params) {
     if (SettingsView == null) SettingsView = require('./settings-view')
     if (packageManager == null) packageManager = new PackageManager()
+    if (profileManager == null) profileManager = new ProfileManager()
     params.packageManager = packageManager
+    params.profileManager = profileManager
     params.snippetsProvider = SnippetsProvider
+    getSettingsHistory().activate()
     settingsView = new SettingsView(params)
     return settingsView
   },
 
+  switchProfile() {
+    if (profileManager == null) profileManager = new ProfileManager()
+
+    const profiles = profileManager.getProfiles()
+    if (profiles.length === 0) {
+      atom.notifications.addInfo('No settings profiles have been saved yet.', {
+        description: 'Profiles can be saved from the Profiles section of the Settings View.',
+        buttons: [{text: 'Open Profiles', onDidClick() { atom.workspace.open(`${CONFIG_URI}/profiles`) }}]
+      })
+      return
+    }
+
+    if (profileListView == null) {
+      const ProfileListView = require('./profile-list-view')
+      profileListView = new ProfileListView(({name}) => {
+        profileManager.applyProfile(name)
+        atom.notifications.addSuccess(`Applied the \`${name}\` settings profile.`, {
+          dismissable: true,
+          buttons: [{text: 'Undo', onDidClick: () => { this.undoProfileSwitch() }}]
+        })
+      })
+    }
+    return profileListView.show(profiles)
+  },
+
+  undoProfileSwitch() {
+    if (profileManager == null || !profileManager.canUndo()) {
+      atom.notifications.addInfo('There is no profile switch to undo.')
+      return
+    }
+
+    const {name} = profileManager.undo()
+    atom.notifications.addSuccess(`Restored the settings that were replaced by the \`${name}\` profile.`)
+  },
+
+  undoSettingChange() {
+    const entry = getSettingsHistory().undo()
+    if (entry == null) {
+      atom.notifications.addInfo('There is no setting change to undo.')
+    }
+  },
+
+  redoSettingChange() {
+    const entry = getSettingsHistory().redo()
+    if (entry == null) {
+      atom.notifications.addInfo('There is no setting change to redo.')
+    }
+  },
+
+  // Lints the package opened in the current project, or lets the user pick one
+  // of the development packages.
+  lintPackageSchema() {
+    const {isDevelopmentPackage} = require('./utils')
+    const projectPaths = atom.project.getPaths()
+    let packages = atom.packages.getLoadedPackages().filter(({path}) => projectPaths.includes(path))
+    if (packages.length === 0) {
+      packages = atom.packages.getLoadedPackages().filter(isDevelopmentPackage)
+    }
+
+    if (packages.length === 0) {
+      atom.notifications.addInfo('There is no package to lint.', {
+        description: 'Open the folder of a package, or link it with `apm link --dev`, to check its config schema.'
+      })
+    } else if (packages.length === 1) {
+      this.reportSchemaIssues(packages[0])
+    } else {
+      const notification = atom.notifications.addInfo('Lint package schema', {
+        description: 'Choose the package to check.',
+        dismissable: true,
+        buttons: packages.map((pack) => ({
+          text: pack.name,
+          onDidClick: () => {
+            notification.dismiss()
+            this.reportSchemaIssues(pack)
+          }
+        }))
+      })
+    }
+  },
+
+  reportSchemaIssues(pack) {
+    const {lintPackageSchema} = require('./schema-linter')
+    const issues = lintPackageSchema(pack)
+    if (issues.length === 0) {
+      atom.notifications.addSuccess(`No config schema issues were found in \`${pack.name}\`.`)
+      return
+    }
+
+    const errorCount = issues.filter(({severity}) => severity === 'error').length
+    atom.notifications.addWarning(`\`${pack.name}\` has ${issues.length} config schema ${issues.length === 1 ? 'issue' : 'issues'} (${errorCount} ${errorCount === 1 ? 'error' : 'errors'}).`, {
+      dismissable: true,
+      detail: issues.map(({keyPath, severity, message}) => `${severity === 'error' ? 'Error' : 'Warning'}: ${keyPath}: ${message}`).join('\n'),
+      buttons: [{text: 'Open Package Settings', onDidClick() { atom.workspace.open(`${CONFIG_URI}/packages/${pack.name}`) }}]
+    })
+  },
+
   showDeprecatedNotification(packages) {
     localStorage.setItem('hasSeenDeprecatedNotification', true)
 
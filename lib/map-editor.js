@@ -0,0 +1,186 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {Emitter} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import ArrayEditor from './array-editor'
+import {validateValue} from './schema-validator'
+import {renderValueControl, inferSchema, defaultValueForSchema} from './value-controls'
+
+// Edits an object setting whose keys are chosen by the user, such as
+// `core.customFileTypes`, as a list of key/value entries. Values are typed by
+// `schema.additionalProperties`, or by their current value when the schema
+// does not describe them.
+//
+// When `keyOptions` ({Array} of `{value, description}`) is given, keys are
+// picked from that list instead of being typed.
+export default class MapEditor {
+  constructor ({keyPath, schema, value, keyOptions}) {
+    this.keyPath = keyPath
+    this.schema = schema || {}
+    this.keyOptions = keyOptions
+    this.nextEntryId = 0
+    this.entries = this.entriesForValue(value)
+    this.emitter = new Emitter()
+    etch.initialize(this)
+
+    // SettingsPanel finds the editor through its element, like an atom-text-editor
+    this.element.getModel = () => this
+  }
+
+  destroy () {
+    this.emitter.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    return (
+      <div id={this.keyPath} className='map-editor native-key-bindings' tabIndex='-1'>
+        <ol ref='entryList' className='map-editor-entries'>
+          {this.entries.map((entry) => this.renderEntry(entry))}
+        </ol>
+        <button ref='addButton' className='btn btn-xs icon icon-plus map-editor-add-button' onclick={() => { this.addEntry() }}>
+          Add Entry
+        </button>
+      </div>
+    )
+  }
+
+  renderEntry (entry) {
+    const valueSchema = this.getValueSchema(entry.key, entry.value)
+    const onChange = (value) => { this.setEntryValue(entry, value) }
+    const onError = (error) => { this.setError(entry, error) }
+
+    let valueControl
+    if (valueSchema.type === 'array') {
+      valueControl = <ArrayEditor schema={valueSchema} value={entry.value} onDidChange={onChange} />
+    } else {
+      valueControl = renderValueControl(entry.value, valueSchema, {onChange, onError})
+    }
+
+    return (
+      <li key={entry.id} className={entry.error ? 'map-editor-entry has-error' : 'map-editor-entry'}>
+        <div className='map-editor-key'>{this.renderKeyControl(entry)}</div>
+        <div className='map-editor-value'>{valueControl}</div>
+        <div className='btn-group btn-group-xs map-editor-entry-buttons'>
+          <button
+            className='btn icon icon-x map-editor-remove-button'
+            title='Remove'
+            onclick={() => { this.removeEntry(entry) }} />
+        </div>
+        {entry.error ? <div className='map-editor-error text-error'>{entry.error}</div> : null}
+      </li>
+    )
+  }
+
+  renderKeyControl (entry) {
+    if (this.keyOptions) {
+      let options = this.keyOptions
+      if (entry.key && !options.some(({value}) => value === entry.key)) {
+        // Keep keys that are not offered, e.g. grammars from disabled packages
+        options = [{value: entry.key, description: entry.key}].concat(options)
+      }
+
+      return (
+        <select className='form-control' onchange={(event) => { this.setEntryKey(entry, event.target.value) }}>
+          <option value='' selected={!entry.key}>Choose…</option>
+          {options.map(({value, description}) => (
+            <option value={value} selected={value === entry.key}>{description}</option>
+          ))}
+        </select>
+      )
+    } else {
+      return (
+        <input
+          type='text'
+          className='input-text'
+          placeholder='Key'
+          value={entry.key}
+          onchange={(event) => { this.setEntryKey(entry, event.target.value.trim()) }} />
+      )
+    }
+  }
+
+  getValueSchema (key, value) {
+    const {properties, additionalProperties} = this.schema
+    if (properties && properties[key]) {
+      return properties[key]
+    } else if (_.isObject(additionalProperties)) {
+      return additionalProperties
+    } else {
+      return inferSchema(value)
+    }
+  }
+
+  entriesForValue (value) {
+    return Object.keys(value || {}).map((key) => ({id: this.nextEntryId++, key, value: _.deepClone(value[key])}))
+  }
+
+  // Returns the object made of the entries that have a key.
+  getValue () {
+    const value = {}
+    for (const entry of this.entries) {
+      if (entry.key && entry.value !== undefined) {
+        value[entry.key] = entry.value
+      }
+    }
+    return value
+  }
+
+  // Shows the given value unless it is the value already being edited.
+  setValue (value) {
+    if (_.isEqual(value || {}, this.getValue())) return
+
+    this.entries = this.entriesForValue(value)
+    return etch.update(this)
+  }
+
+  setEntryKey (entry, key) {
+    entry.key = key
+    return this.didChangeEntries()
+  }
+
+  setEntryValue (entry, value) {
+    entry.value = value
+    return this.didChangeEntries()
+  }
+
+  setError (entry, error) {
+    entry.error = error
+    return etch.update(this)
+  }
+
+  addEntry () {
+    this.entries.push({id: this.nextEntryId++, key: '', value: defaultValueForSchema(this.getValueSchema('', undefined))})
+    return etch.update(this)
+  }
+
+  removeEntry (entry) {
+    this.entries = _.without(this.entries, entry)
+    return this.didChangeEntries()
+  }
+
+  didChangeEntries () {
+    const seenKeys = new Set()
+    for (const entry of this.entries) {
+      if (entry.key && seenKeys.has(entry.key)) {
+        entry.error = `“${entry.key}” is used by another entry.`
+      } else {
+        entry.error = validateValue(entry.value, this.getValueSchema(entry.key, entry.value))
+      }
+      seenKeys.add(entry.key)
+    }
+
+    if (!this.entries.some(({error}) => error != null)) {
+      this.emitter.emit('did-change', this.getValue())
+    }
+    return etch.update(this)
+  }
+
+  onDidChange (callback) {
+    return this.emitter.on('did-change', callback)
+  }
+}
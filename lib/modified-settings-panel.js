@@ -0,0 +1,171 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import {getModifiedSettings, getNamespaceTitle, getPanelURIForNamespace, createRefreshScheduler} from './settings-utils'
+import settingsHistory from './settings-history'
+
+// Lists every setting whose user value differs from its default so that the
+// drift can be reviewed and reset.
+export default class ModifiedSettingsPanel {
+  constructor () {
+    this.modifiedSettings = getModifiedSettings()
+    etch.initialize(this)
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.commands.add(this.element, {
+      'core:move-up': () => { this.scrollUp() },
+      'core:move-down': () => { this.scrollDown() },
+      'core:page-up': () => { this.pageUp() },
+      'core:page-down': () => { this.pageDown() },
+      'core:move-to-top': () => { this.scrollToTop() },
+      'core:move-to-bottom': () => { this.scrollToBottom() }
+    }))
+    this.refreshScheduler = createRefreshScheduler(this)
+    this.subscriptions.add(this.refreshScheduler)
+    this.subscriptions.add(atom.config.onDidChange(() => { this.refreshScheduler.schedule() }))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  refresh () {
+    this.modifiedSettings = getModifiedSettings()
+    return etch.update(this)
+  }
+
+  render () {
+    const settingsByNamespace = _.groupBy(this.modifiedSettings, 'namespace')
+    return (
+      <div tabIndex='0' className='panels-item modified-settings-panel'>
+        <section className='section'>
+          <div className='section-container'>
+            <div className='section-heading icon icon-diff-modified'>
+              Modified Settings
+              <span ref='totalCount' className='section-heading-count badge badge-flexible'>{this.modifiedSettings.length}</span>
+            </div>
+            <div className='text native-key-bindings' tabIndex='-1'>
+              <span className='icon icon-question' />
+              These settings differ from their default values, either globally or for a specific scope.
+            </div>
+            <div className='btn-wrap-group'>
+              <button
+                ref='resetAllButton'
+                className='btn btn-default icon icon-history'
+                disabled={this.modifiedSettings.length === 0}
+                onclick={() => { this.resetAll() }}>Reset All</button>
+            </div>
+            <div ref='noModifiedSettingsMessage' className={this.modifiedSettings.length === 0 ? 'alert alert-info icon icon-check' : 'hidden'}>
+              All settings are at their default values.
+            </div>
+            {Object.keys(settingsByNamespace).map((namespace) => this.renderNamespace(namespace, settingsByNamespace[namespace]))}
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  renderNamespace (namespace, modifiedSettings) {
+    return (
+      <section key={namespace} className='sub-section modified-settings-namespace'>
+        <h3 className='sub-section-heading'>
+          <a className='link' onclick={() => { atom.workspace.open(getPanelURIForNamespace(namespace)) }}>{getNamespaceTitle(namespace)}</a>
+        </h3>
+        <table className='native-key-bindings table text modified-settings-table' tabIndex='-1'>
+          <thead>
+            <tr>
+              <th className='key-path'>Setting</th>
+              <th className='scope'>Scope</th>
+              <th className='value'>Value</th>
+              <th className='default'>Default</th>
+              <th className='actions' />
+            </tr>
+          </thead>
+          <tbody>
+            {modifiedSettings.map((setting) => this.renderModifiedSetting(setting))}
+          </tbody>
+        </table>
+      </section>
+    )
+  }
+
+  renderModifiedSetting ({keyPath, scopeSelector, value, defaultValue}) {
+    return (
+      <tr key={`${scopeSelector || '*'} ${keyPath}`} dataset={{keyPath}}>
+        <td className='key-path'>{keyPath}</td>
+        <td className='scope'>{scopeSelector || 'Global'}</td>
+        <td className='value'>{valueToString(value)}</td>
+        <td className='default'>{valueToString(defaultValue)}</td>
+        <td className='actions'>
+          <button
+            className='btn btn-xs icon icon-history reset-button'
+            onclick={() => { settingsHistory.unset(keyPath, {scopeSelector}) }}>Reset</button>
+        </td>
+      </tr>
+    )
+  }
+
+  resetAll () {
+    const count = this.modifiedSettings.length
+    const chosen = atom.confirm({
+      message: 'Reset all modified settings?',
+      detailedMessage: `${count} ${count === 1 ? 'setting' : 'settings'} will be restored to ${count === 1 ? 'its default value' : 'their default values'}.`,
+      buttons: ['Reset All', 'Cancel']
+    })
+    if (chosen !== 0) return
+
+    settingsHistory.transact(() => {
+      for (const {keyPath, scopeSelector} of this.modifiedSettings) {
+        settingsHistory.unset(keyPath, {scopeSelector})
+      }
+    })
+  }
+
+  focus () {
+    this.element.focus()
+  }
+
+  show () {
+    this.element.style.display = ''
+    this.refreshScheduler.didShow()
+  }
+
+  scrollUp () {
+    this.element.scrollTop -= document.body.offsetHeight / 20
+  }
+
+  scrollDown () {
+    this.element.scrollTop += document.body.offsetHeight / 20
+  }
+
+  pageUp () {
+    this.element.scrollTop -= this.element.offsetHeight
+  }
+
+  pageDown () {
+    this.element.scrollTop += this.element.offsetHeight
+  }
+
+  scrollToTop () {
+    this.element.scrollTop = 0
+  }
+
+  scrollToBottom () {
+    this.element.scrollTop = this.element.scrollHeight
+  }
+}
+
+function valueToString (value) {
+  if (value == null) {
+    return ''
+  } else if (_.isArray(value) || _.isObject(value)) {
+    return JSON.stringify(value)
+  } else {
+    return value.toString()
+  }
+}
@@ -6,6 +6,8 @@ import {shell} from 'electron'
 import etch from 'etch'
 let marked = null
 import {ownerFromRepository} from './utils'
+import {getUserSettingsForNamespace} from './settings-utils'
+import settingsHistory from './settings-history'
 
 export default class PackageCard {
   constructor (pack, settingsView, packageManager, options = {}) {
@@ -691,10 +693,38 @@ export default class PackageCard {
     this.packageManager.uninstall(this.pack, (error) => {
       if (error != null) {
         console.error(`Uninstalling ${this.type} ${this.pack.name} failed`, error.stack != null ? error.stack : error, error.stderr)
+      } else {
+        this.offerToRemoveSettings()
       }
     })
   }
 
+  // Uninstalling only cleans up `core.disabledPackages`, so the package's
+  // own settings are left in the config file unless the user removes them.
+  offerToRemoveSettings () {
+    const settings = getUserSettingsForNamespace(this.pack.name)
+    if (settings.length === 0) return
+
+    const notification = atom.notifications.addInfo(`\`${this.pack.name}\` left settings in your config file.`, {
+      dismissable: true,
+      detail: 'They are not used anymore unless you install the package again.',
+      buttons: [{
+        text: 'Remove Settings',
+        onDidClick: () => {
+          settingsHistory.transact(() => {
+            for (const {keyPath, scopeSelector} of settings) {
+              settingsHistory.unset(keyPath, {scopeSelector})
+            }
+          })
+          notification.dismiss()
+        }
+      }, {
+        text: 'Keep Settings',
+        onDidClick: () => { notification.dismiss() }
+      }]
+    })
+  }
+
   installAlternative () {
     const metadata = this.getDeprecatedPackageMetadata()
     const loadedPack = atom.packages.getLoadedPackage(metadata ? metadata.alternative : null)
@@ -14,8 +14,10 @@ import PackageCard from './package-card'
 import PackageGrammarsView from './package-grammars-view'
 import PackageKeymapView from './package-keymap-view'
 import PackageReadmeView from './package-readme-view'
+import PackageSchemaIssuesView from './package-schema-issues-view'
 import PackageSnippetsView from './package-snippets-view'
 import SettingsPanel from './settings-panel'
+import {isDevelopmentPackage} from './utils'
 
 const NORMALIZE_PACKAGE_DATA_README_ERROR = 'ERROR: No README data found!'
 
@@ -193,6 +195,11 @@ export default class PackageDetailView {
       this.snippetsView = null
     }
 
+    if (this.schemaIssuesView) {
+      this.schemaIssuesView.destroy()
+      this.schemaIssuesView = null
+    }
+
     if (this.readmeView) {
       this.readmeView.destroy()
       this.readmeView = null
@@ -321,6 +328,11 @@ export default class PackageDetailView {
       this.snippetsView = null
     }
 
+    if (this.schemaIssuesView) {
+      this.schemaIssuesView.destroy()
+      this.schemaIssuesView = null
+    }
+
     if (this.readmeView) {
       this.readmeView.destroy()
       this.readmeView = null
@@ -332,6 +344,12 @@ export default class PackageDetailView {
 
     if (atom.packages.isPackageLoaded(this.pack.name)) {
       if (!atom.packages.isPackageDisabled(this.pack.name)) {
+        const loadedPack = atom.packages.getLoadedPackage(this.pack.name)
+        if (isDevelopmentPackage(loadedPack)) {
+          this.schemaIssuesView = new PackageSchemaIssuesView(loadedPack)
+          this.refs.sections.appendChild(this.schemaIssuesView.element)
+        }
+
         this.settingsPanel = new SettingsPanel({namespace: this.pack.name, includeTitle: false})
         this.keymapView = new PackageKeymapView(this.pack)
         this.refs.sections.appendChild(this.settingsPanel.element)
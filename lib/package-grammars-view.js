@@ -3,6 +3,7 @@
 import path from 'path'
 import {CompositeDisposable} from 'atom'
 import SettingsPanel from './settings-panel'
+import EditorPreview from './editor-preview'
 
 // View to display the grammars that a package has registered.
 export default class PackageGrammarsView {
@@ -14,6 +15,7 @@ export default class PackageGrammarsView {
     this.element.appendChild(this.grammarSettings)
 
     this.disposables = new CompositeDisposable()
+    this.previews = []
     this.packagePath = path.join(packagePath, path.sep)
     this.addGrammars()
     this.disposables.add(atom.grammars.onDidAddGrammar(() => this.addGrammars()))
@@ -21,6 +23,7 @@ export default class PackageGrammarsView {
   }
 
   destroy () {
+    this.destroyPreviews()
     this.disposables.dispose()
     this.element.remove()
   }
@@ -76,7 +79,15 @@ export default class PackageGrammarsView {
     sectionBody.parentElement.insertBefore(container, sectionBody)
   }
 
+  destroyPreviews () {
+    for (const preview of this.previews) {
+      preview.destroy()
+    }
+    this.previews = []
+  }
+
   addGrammars () {
+    this.destroyPreviews()
     this.grammarSettings.innerHTML = ''
     for (let grammar of this.getPackageGrammars()) {
       let {scopeName, name} = grammar
@@ -91,6 +102,13 @@ export default class PackageGrammarsView {
       const title = `${name} Grammar`
       const panel = new SettingsPanel({title, scopeName, icon: 'puzzle'})
       this.addGrammarHeading(grammar, panel)
+
+      // Shows the effect of the settings overridden for this grammar
+      const preview = new EditorPreview({scopeName})
+      this.previews.push(preview)
+      const sectionBody = panel.element.querySelector('.section-body')
+      sectionBody.parentElement.insertBefore(preview.element, sectionBody)
+
       this.grammarSettings.appendChild(panel.element)
     }
   }
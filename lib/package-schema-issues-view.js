@@ -0,0 +1,54 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import etch from 'etch'
+import {lintPackageSchema} from './schema-linter'
+import {getSettingURI} from './settings-utils'
+
+// View to display the problems found in the config schema of a package being
+// developed.
+export default class PackageSchemaIssuesView {
+  constructor (pack) {
+    this.pack = pack
+    this.issues = lintPackageSchema(pack)
+    etch.initialize(this)
+    if (this.issues.length === 0) this.element.style.display = 'none'
+  }
+
+  destroy () {
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    return (
+      <section className='section package-schema-issues'>
+        <div className='section-heading icon icon-alert'>
+          Schema Issues
+          <span ref='count' className='section-heading-count badge badge-flexible'>{this.issues.length}</span>
+        </div>
+        <table className='package-schema-issues-table table native-key-bindings text' tabIndex={-1}>
+          <thead>
+            <tr>
+              <th>Severity</th>
+              <th>Key Path</th>
+              <th>Problem</th>
+            </tr>
+          </thead>
+          <tbody ref='issues'>
+            {this.issues.map(({keyPath, severity, message}) => (
+              <tr className={`package-schema-issue is-${severity}`} dataset={{keyPath}}>
+                <td className={severity === 'error' ? 'text-error' : 'text-warning'}>{severity === 'error' ? 'Error' : 'Warning'}</td>
+                <td className='key-path'>
+                  <a onclick={() => { atom.workspace.open(getSettingURI(keyPath)) }}>{keyPath}</a>
+                </td>
+                <td>{message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    )
+  }
+}
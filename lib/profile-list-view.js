@@ -0,0 +1,69 @@
+const SelectListView = require('atom-select-list')
+const {getNamespaceTitle} = require('./settings-utils')
+
+// A modal list of the saved settings profiles, filtered as the user types,
+// that applies the chosen one.
+module.exports = class ProfileListView {
+  constructor (didConfirmProfile) {
+    this.selectListView = new SelectListView({
+      itemsClassList: ['two-lines'],
+      items: [],
+      filterKeyForItem: (profile) => profile.name,
+      elementForItem: (profile) => {
+        const element = document.createElement('li')
+
+        const name = document.createElement('div')
+        name.classList.add('primary-line')
+        name.textContent = profile.name
+        element.appendChild(name)
+
+        const namespaces = document.createElement('div')
+        namespaces.classList.add('secondary-line')
+        namespaces.textContent = profile.namespaces.map(getNamespaceTitle).join(', ')
+        element.appendChild(namespaces)
+
+        return element
+      },
+      emptyMessage: 'No matching profiles',
+      didConfirmSelection: (profile) => {
+        this.cancel()
+        didConfirmProfile(profile)
+      },
+      didCancelSelection: () => {
+        this.cancel()
+      }
+    })
+    this.selectListView.element.classList.add('profile-list')
+  }
+
+  destroy () {
+    this.cancel()
+    return this.selectListView.destroy()
+  }
+
+  cancel () {
+    if (this.panel != null) {
+      this.panel.destroy()
+    }
+    this.panel = null
+    if (this.previouslyFocusedElement) {
+      this.previouslyFocusedElement.focus()
+      this.previouslyFocusedElement = null
+    }
+  }
+
+  attach () {
+    this.previouslyFocusedElement = document.activeElement
+    if (this.panel == null) {
+      this.panel = atom.workspace.addModalPanel({item: this.selectListView})
+    }
+    this.selectListView.focus()
+  }
+
+  // Public: Shows the list with the given profiles.
+  show (profiles) {
+    this.selectListView.reset()
+    this.attach()
+    return this.selectListView.update({items: profiles})
+  }
+}
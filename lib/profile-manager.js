@@ -0,0 +1,153 @@
+const path = require('path')
+const _ = require('underscore-plus')
+const fs = require('fs-plus')
+const CSON = require('season')
+const {Emitter} = require('atom')
+const {flattenSettings} = require('./settings-utils')
+
+// Core settings that are always part of a profile since they decide which
+// packages and themes are active.
+const PROFILE_KEY_PATHS = ['core.themes', 'core.disabledPackages']
+
+// Saves named snapshots of the user's settings for a set of namespaces and
+// switches between them.
+//
+// Profiles are stored in `settings-profiles.cson` in the Atom home directory.
+module.exports = class ProfileManager {
+  constructor (profilesPath) {
+    this.profilesPath = profilesPath != null ? profilesPath : path.join(atom.getConfigDirPath(), 'settings-profiles.cson')
+    this.undoStack = []
+    this.emitter = new Emitter()
+  }
+
+  getProfilesPath () {
+    return this.profilesPath
+  }
+
+  loadProfiles () {
+    if (!fs.isFileSync(this.profilesPath)) return {}
+
+    try {
+      return CSON.readFileSync(this.profilesPath) || {}
+    } catch (error) {
+      atom.notifications.addError('Failed to load settings profiles', {detail: error.message, dismissable: true})
+      return {}
+    }
+  }
+
+  saveProfiles (profiles) {
+    CSON.writeFileSync(this.profilesPath, profiles)
+    this.emitter.emit('did-change-profiles')
+  }
+
+  getProfiles () {
+    return _.values(this.loadProfiles()).sort((profile1, profile2) => profile1.name.localeCompare(profile2.name))
+  }
+
+  getProfile (name) {
+    return this.loadProfiles()[name]
+  }
+
+  // Saves the current user settings of the given namespaces, along with
+  // `core.themes` and `core.disabledPackages`, as the profile `name`,
+  // replacing any existing profile with that name.
+  captureProfile (name, namespaces) {
+    const profile = this.snapshot(namespaces)
+    profile.name = name
+    profile.createdAt = new Date().toISOString()
+
+    const profiles = this.loadProfiles()
+    profiles[name] = profile
+    this.saveProfiles(profiles)
+    return profile
+  }
+
+  deleteProfile (name) {
+    const profiles = this.loadProfiles()
+    delete profiles[name]
+    this.saveProfiles(profiles)
+  }
+
+  // Replaces the user settings of the profile's namespaces with the saved
+  // ones. The previous settings can be restored with `undo`.
+  applyProfile (name) {
+    const profile = this.getProfile(name)
+    if (profile == null) {
+      throw new Error(`There is no settings profile named “${name}”.`)
+    }
+
+    this.undoStack.push(Object.assign(this.snapshot(profile.namespaces), {name}))
+    this.restore(profile)
+    this.emitter.emit('did-apply-profile', profile)
+    return profile
+  }
+
+  canUndo () {
+    return this.undoStack.length > 0
+  }
+
+  // Restores the settings that were replaced by the last applied profile.
+  undo () {
+    const snapshot = this.undoStack.pop()
+    if (snapshot == null) return
+
+    this.restore(snapshot)
+    this.emitter.emit('did-undo-profile', snapshot)
+    return snapshot
+  }
+
+  // Returns the settings that applying the profile would change as a list of
+  // `{keyPath, currentValue, profileValue}` objects.
+  diffProfile (name) {
+    const profile = this.getProfile(name)
+    if (profile == null) return []
+
+    const current = flattenSettings(this.snapshot(profile.namespaces).settings)
+    const saved = flattenSettings(profile.settings)
+    const keyPaths = _.union(Object.keys(current), Object.keys(saved)).sort()
+
+    const differences = []
+    for (const keyPath of keyPaths) {
+      if (!_.isEqual(current[keyPath], saved[keyPath])) {
+        differences.push({keyPath, currentValue: current[keyPath], profileValue: saved[keyPath]})
+      }
+    }
+    return differences
+  }
+
+  snapshot (namespaces) {
+    const userConfigPath = atom.config.getUserConfigPath()
+    const settings = {}
+    for (const keyPath of _.union(namespaces, PROFILE_KEY_PATHS)) {
+      const value = atom.config.get(keyPath, {sources: [userConfigPath]})
+      if (value != null) {
+        settings[keyPath] = value
+      }
+    }
+    return {namespaces, settings}
+  }
+
+  restore ({namespaces, settings}) {
+    atom.config.transact(() => {
+      for (const keyPath of _.union(namespaces, PROFILE_KEY_PATHS)) {
+        if (settings[keyPath] != null) {
+          atom.config.set(keyPath, settings[keyPath])
+        } else {
+          atom.config.unset(keyPath)
+        }
+      }
+    })
+  }
+
+  onDidChangeProfiles (callback) {
+    return this.emitter.on('did-change-profiles', callback)
+  }
+
+  onDidApplyProfile (callback) {
+    return this.emitter.on('did-apply-profile', callback)
+  }
+
+  onDidUndoProfile (callback) {
+    return this.emitter.on('did-undo-profile', callback)
+  }
+}
@@ -0,0 +1,246 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable, TextEditor} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import {getSettingsNamespaces, getNamespaceTitle} from './settings-utils'
+
+const DEFAULT_NAMESPACES = ['core', 'editor']
+
+// Captures, applies and compares named settings profiles.
+export default class ProfilesPanel {
+  constructor (profileManager) {
+    this.profileManager = profileManager
+    this.namespaces = getSettingsNamespaces()
+    this.selectedNamespaces = new Set(DEFAULT_NAMESPACES)
+    this.diffedProfileName = null
+    etch.initialize(this)
+
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.commands.add(this.element, {
+      'core:move-up': () => { this.scrollUp() },
+      'core:move-down': () => { this.scrollDown() },
+      'core:page-up': () => { this.pageUp() },
+      'core:page-down': () => { this.pageDown() },
+      'core:move-to-top': () => { this.scrollToTop() },
+      'core:move-to-bottom': () => { this.scrollToBottom() }
+    }))
+    this.subscriptions.add(atom.commands.add(this.refs.nameEditor.element, {
+      'core:confirm': () => { this.saveProfile() }
+    }))
+    this.subscriptions.add(this.profileManager.onDidChangeProfiles(() => etch.update(this)))
+    this.subscriptions.add(this.profileManager.onDidApplyProfile(() => etch.update(this)))
+    this.subscriptions.add(this.profileManager.onDidUndoProfile(() => etch.update(this)))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    const profiles = this.profileManager.getProfiles()
+    return (
+      <div tabIndex='0' className='panels-item profiles-panel'>
+        <section className='section'>
+          <div className='section-container'>
+            <div className='section-heading icon icon-versions'>Profiles</div>
+            <div className='text native-key-bindings' tabIndex='-1'>
+              <span className='icon icon-question' />
+              A profile is a saved copy of your settings for the chosen namespaces, plus your themes and disabled packages. Profiles are stored in <code>{this.profileManager.getProfilesPath()}</code>.
+            </div>
+
+            <div className='btn-wrap-group'>
+              <button
+                ref='undoButton'
+                className='btn btn-default icon icon-history'
+                disabled={!this.profileManager.canUndo()}
+                onclick={() => { this.profileManager.undo() }}>Undo Last Profile Switch</button>
+            </div>
+
+            <div ref='noProfilesMessage' className={profiles.length === 0 ? 'alert alert-info icon icon-info' : 'hidden'}>
+              You have not saved any profiles yet.
+            </div>
+            <table className={profiles.length === 0 ? 'hidden' : 'native-key-bindings table text profiles-table'} tabIndex='-1'>
+              <tbody ref='profileRows'>
+                {profiles.map((profile) => this.renderProfile(profile))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        <section className='section'>
+          <div className='section-container'>
+            <div className='section-heading icon icon-plus'>Save Current Settings</div>
+            <div className='editor-container'>
+              <TextEditor ref='nameEditor' mini={true} placeholderText='Profile name, e.g. presenting' />
+            </div>
+            <div className='profile-namespaces native-key-bindings' tabIndex='-1'>
+              {this.namespaces.map((namespace) => (
+                <div key={namespace} className='checkbox'>
+                  <label>
+                    <input
+                      type='checkbox'
+                      className='input-checkbox'
+                      dataset={{namespace}}
+                      checked={this.selectedNamespaces.has(namespace)}
+                      onchange={(event) => { this.didToggleNamespace(namespace, event.target.checked) }} />
+                    <div className='setting-title'>{getNamespaceTitle(namespace)}</div>
+                  </label>
+                </div>
+              ))}
+            </div>
+            <button ref='saveButton' className='btn btn-primary icon icon-check' onclick={() => { this.saveProfile() }}>Save Profile</button>
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  renderProfile (profile) {
+    const isDiffed = this.diffedProfileName === profile.name
+    return [
+      <tr key={profile.name} className='profile' dataset={{profileName: profile.name}}>
+        <td className='profile-name'>
+          <div className='setting-title'>{profile.name}</div>
+          <div className='setting-description'>{profile.namespaces.map(getNamespaceTitle).join(', ')}</div>
+        </td>
+        <td className='profile-actions'>
+          <div className='btn-group'>
+            <button className='btn btn-primary apply-button' onclick={() => { this.applyProfile(profile.name) }}>Apply</button>
+            <button className={`btn diff-button ${isDiffed ? 'selected' : ''}`} onclick={() => { this.toggleDiff(profile.name) }}>Diff</button>
+            <button className='btn delete-button' onclick={() => { this.deleteProfile(profile.name) }}>Delete</button>
+          </div>
+        </td>
+      </tr>,
+      isDiffed ? this.renderDiff(profile) : null
+    ]
+  }
+
+  renderDiff (profile) {
+    const differences = this.profileManager.diffProfile(profile.name)
+    return (
+      <tr key={`${profile.name}-diff`} className='profile-diff'>
+        <td colSpan='2'>
+          {differences.length === 0
+            ? <div className='text'>Your current settings match this profile.</div>
+            : (
+              <table className='profile-diff-table'>
+                <thead>
+                  <tr>
+                    <th>Setting</th>
+                    <th>Current</th>
+                    <th>Profile</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {differences.map(({keyPath, currentValue, profileValue}) => (
+                    <tr key={keyPath}>
+                      <td className='key-path'>{keyPath}</td>
+                      <td className='current-value'>{valueToString(currentValue)}</td>
+                      <td className='profile-value'>{valueToString(profileValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          }
+        </td>
+      </tr>
+    )
+  }
+
+  didToggleNamespace (namespace, checked) {
+    if (checked) {
+      this.selectedNamespaces.add(namespace)
+    } else {
+      this.selectedNamespaces.delete(namespace)
+    }
+  }
+
+  saveProfile () {
+    const name = this.refs.nameEditor.getText().trim()
+    if (!name) {
+      atom.notifications.addWarning('Enter a name for the profile first.')
+      return
+    }
+
+    if (this.profileManager.getProfile(name)) {
+      const chosen = atom.confirm({
+        message: `Replace the profile “${name}”?`,
+        detailedMessage: 'A profile with this name already exists.',
+        buttons: ['Replace', 'Cancel']
+      })
+      if (chosen !== 0) return
+    }
+
+    const namespaces = this.namespaces.filter((namespace) => this.selectedNamespaces.has(namespace))
+    this.profileManager.captureProfile(name, namespaces)
+    this.refs.nameEditor.setText('')
+  }
+
+  applyProfile (name) {
+    this.profileManager.applyProfile(name)
+  }
+
+  toggleDiff (name) {
+    this.diffedProfileName = this.diffedProfileName === name ? null : name
+    return etch.update(this)
+  }
+
+  deleteProfile (name) {
+    const chosen = atom.confirm({
+      message: `Delete the profile “${name}”?`,
+      buttons: ['Delete', 'Cancel']
+    })
+    if (chosen === 0) {
+      this.profileManager.deleteProfile(name)
+    }
+  }
+
+  focus () {
+    this.element.focus()
+  }
+
+  show () {
+    this.element.style.display = ''
+    etch.update(this)
+  }
+
+  scrollUp () {
+    this.element.scrollTop -= document.body.offsetHeight / 20
+  }
+
+  scrollDown () {
+    this.element.scrollTop += document.body.offsetHeight / 20
+  }
+
+  pageUp () {
+    this.element.scrollTop -= this.element.offsetHeight
+  }
+
+  pageDown () {
+    this.element.scrollTop += this.element.offsetHeight
+  }
+
+  scrollToTop () {
+    this.element.scrollTop = 0
+  }
+
+  scrollToBottom () {
+    this.element.scrollTop = this.element.scrollHeight
+  }
+}
+
+function valueToString (value) {
+  if (value == null) {
+    return ''
+  } else if (_.isObject(value)) {
+    return JSON.stringify(value)
+  } else {
+    return value.toString()
+  }
+}
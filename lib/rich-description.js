@@ -1,4 +1,5 @@
 const marked = require('marked')
+const createDOMPurify = require('dompurify')
 
 const renderer = new marked.Renderer()
 renderer.code = () => ''
@@ -10,6 +11,14 @@ renderer.list = () => ''
 
 const markdown = text => marked(text, {renderer}).replace(/<p>(.*)<\/p>/, "$1").trim()
 
+// DOMPurify's default URI filter with `atom:` added, so that descriptions can
+// link to other settings with `atom://config` URIs.
+const ALLOWED_URI_REGEXP = /^(?:(?:(?:f|ht)tps?|mailto|atom):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i
+
+// Schemas opt into the full rendering with `richDescription: true`, which
+// keeps lists, code blocks, headings, blockquotes and images.
+const richMarkdown = text => createDOMPurify().sanitize(marked(text), {ALLOWED_URI_REGEXP}).trim()
+
 module.exports = {
   getSettingDescription(keyPath) {
     const schema = atom.config.getSchema(keyPath)
@@ -17,6 +26,6 @@ module.exports = {
     if (schema && schema.description) {
       description = schema.description
     }
-    return markdown(description)
+    return schema && schema.richDescription ? richMarkdown(description) : markdown(description)
   }
 }
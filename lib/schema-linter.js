@@ -0,0 +1,123 @@
+const _ = require('underscore-plus')
+const {validateValue} = require('./schema-validator')
+
+// The types SettingsPanel knows how to render
+const KNOWN_TYPES = ['string', 'integer', 'number', 'boolean', 'array', 'object', 'color']
+
+const isGroup = (schema) => {
+  return schema.type === 'object' && !_.isEmpty(schema.properties)
+}
+
+const lintEnum = (schema, report) => {
+  if (!_.isArray(schema.enum)) {
+    report('error', '`enum` must be an array of values or of `{value, description}` objects.')
+    return
+  }
+
+  schema.enum.forEach((option, index) => {
+    if (_.isObject(option) && !_.isArray(option)) {
+      if (!option.hasOwnProperty('value')) {
+        report('error', `Enum option ${index + 1} is an object without a \`value\`.`)
+      } else if (option.description == null) {
+        report('warning', `Enum option ${index + 1} has no \`description\`, so the menu shows an empty entry.`)
+      }
+    }
+  })
+}
+
+const lintSetting = (keyPath, schema, report) => {
+  if (schema.type == null) {
+    report('error', 'Has no `type`, so it is shown as a text field and any value is accepted.')
+  } else {
+    const unknownTypes = (_.isArray(schema.type) ? schema.type : [schema.type]).filter((type) => !KNOWN_TYPES.includes(type))
+    if (unknownTypes.length > 0) {
+      report('error', `Has an unknown type: ${unknownTypes.join(', ')}.`)
+    }
+  }
+
+  if (schema.title == null) {
+    report('warning', 'Has no `title`, so one is made up from the key.')
+  }
+  if (schema.description == null) {
+    report('warning', 'Has no `description`.')
+  }
+
+  if (schema.enum != null) lintEnum(schema, report)
+
+  if (schema.type === 'object' && schema.properties == null && schema.additionalProperties == null) {
+    report('warning', 'Is an object without `properties` or `additionalProperties`, so its keys cannot be described or checked.')
+  }
+  if (schema.type === 'array' && schema.items == null) {
+    report('warning', 'Is an array without `items`, so its items are edited as whatever type they happen to have.')
+  }
+
+  if (!schema.hasOwnProperty('default')) {
+    report('warning', 'Has no `default`.')
+  } else {
+    const error = validateValue(schema.default, schema)
+    if (error != null) {
+      report('error', `Its default ${JSON.stringify(schema.default)} is invalid: ${error}`)
+    }
+  }
+}
+
+const lintGroup = (schema, report) => {
+  const names = Object.keys(schema.properties)
+  const ordered = names.filter((name) => schema.properties[name].order != null)
+  const unordered = _.difference(names, ordered)
+  if (ordered.length > 0 && unordered.length > 0) {
+    report('warning', `Some settings have an \`order\` and others do not, so these are listed last: ${unordered.join(', ')}.`)
+  } else if (ordered.length === 0 && unordered.length > 1) {
+    report('warning', `No setting has an \`order\`, so they are listed alphabetically: ${unordered.join(', ')}.`)
+  }
+
+  const orders = ordered.map((name) => schema.properties[name].order)
+  if (_.uniq(orders).length !== orders.length) {
+    report('warning', 'Several settings share the same `order`, so they are listed alphabetically among themselves.')
+  }
+}
+
+// Public: Checks a package's config schema for the mistakes that make
+// SettingsPanel render settings oddly: missing titles, descriptions, types or
+// defaults, defaults that do not match their schema, malformed enums, objects
+// without properties and unordered or partially ordered groups.
+//
+// * `namespace` The namespace of the schema, e.g. the package name.
+// * `schema` The config schema, e.g. the result of {Config::getSchema}.
+//
+// Returns an {Array} of `{keyPath, severity, message}` objects where
+// `severity` is `'error'` or `'warning'`.
+const lintSchema = (namespace, schema) => {
+  const issues = []
+  if (schema == null || schema.type === 'any') return issues
+
+  const walk = (keyPath, schema) => {
+    const report = (severity, message) => { issues.push({keyPath, severity, message}) }
+    if (!_.isObject(schema)) {
+      report('error', 'Its schema is not an object.')
+    } else if (isGroup(schema)) {
+      lintGroup(schema, report)
+      for (const key in schema.properties) {
+        walk(`${keyPath}.${key}`, schema.properties[key])
+      }
+    } else if (keyPath === namespace) {
+      report('error', 'The config schema must be an object with `properties`.')
+    } else {
+      lintSetting(keyPath, schema, report)
+    }
+  }
+
+  walk(namespace, schema)
+  return issues
+}
+
+// Public: Lints the config schema of a loaded package.
+//
+// Returns an {Array} of issues as described in {lintSchema}.
+const lintPackageSchema = (pack) => {
+  // Package.activateConfig() is part of the Private package API and should not be used outside of core.
+  if (!atom.packages.isPackageActive(pack.name)) pack.activateConfig()
+  return lintSchema(pack.name, atom.config.getSchema(pack.name))
+}
+
+module.exports = {lintSchema, lintPackageSchema}
@@ -0,0 +1,84 @@
+const _ = require('underscore-plus')
+
+const describeType = (schema) => {
+  switch (schema.type) {
+    case 'integer': return 'a whole number'
+    case 'number': return 'a number'
+    case 'boolean': return 'true or false'
+    case 'array': return 'a list'
+    case 'object': return 'an object'
+    case 'color': return 'a color'
+    default: return `a ${schema.type}`
+  }
+}
+
+const enumValues = (schema) => {
+  return schema.enum.map((option) => (_.isObject(option) && option.hasOwnProperty('value') ? option.value : option))
+}
+
+const isOfType = (value, type) => {
+  switch (type) {
+    case 'string': return _.isString(value)
+    case 'integer': return _.isNumber(value) && isFinite(value) && Math.floor(value) === value
+    case 'number': return _.isNumber(value) && isFinite(value)
+    case 'boolean': return _.isBoolean(value)
+    case 'array': return _.isArray(value)
+    case 'object': return _.isObject(value) && !_.isArray(value)
+    default: return true
+  }
+}
+
+// Public: Checks a value against a config schema the way {Config::set} would,
+// without coercing it.
+//
+// * `value` The value to check.
+// * `schema` The config schema, e.g. the result of {Config::getSchema}.
+//
+// Returns a {String} describing the first problem found, or `null` when the
+// value is valid.
+const validateValue = (value, schema) => {
+  if (schema == null || value === undefined) return null
+
+  const types = _.isArray(schema.type) ? schema.type : [schema.type]
+  if (schema.type != null && !types.some((type) => isOfType(value, type))) {
+    return `Must be ${types.map((type) => describeType({type})).join(' or ')}.`
+  }
+
+  if (schema.enum != null) {
+    const values = enumValues(schema)
+    if (!values.some((option) => _.isEqual(option, value))) {
+      return `Must be one of ${values.join(', ')}.`
+    }
+  }
+
+  if (_.isString(value) && schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+    return `Must match the pattern ${schema.pattern}.`
+  }
+
+  if (_.isNumber(value)) {
+    if (schema.minimum != null && value < schema.minimum) {
+      return `Must be at least ${schema.minimum}.`
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      return `Must be at most ${schema.maximum}.`
+    }
+  }
+
+  if (_.isArray(value) && schema.items != null) {
+    for (let index = 0; index < value.length; index++) {
+      const error = validateValue(value[index], schema.items)
+      if (error != null) return `Item ${index + 1}: ${error}`
+    }
+  }
+
+  if (isOfType(value, 'object') && schema.properties != null) {
+    for (const key in schema.properties) {
+      const error = validateValue(value[key], schema.properties[key])
+      if (error != null) return `${key}: ${error}`
+    }
+  }
+
+  return null
+}
+
+module.exports = {validateValue}
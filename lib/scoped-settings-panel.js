@@ -0,0 +1,337 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable, TextEditor} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import {getScopeableSettings, getUserScopedSettings, getNamespaceTitle} from './settings-utils'
+import settingsHistory from './settings-history'
+import {validateValue} from './schema-validator'
+import ArrayEditor from './array-editor'
+
+// Lists the scope-specific overrides in the user's config file and lets new
+// ones be added for any scope selector, e.g. `.source.js .comment`.
+export default class ScopedSettingsPanel {
+  constructor () {
+    this.scopedSettings = getUserScopedSettings()
+    this.scopeableSettings = getScopeableSettings()
+    this.editedSetting = null
+    this.errorMessage = null
+    // The items of an array override, edited in an ArrayEditor rather than
+    // the text editor so that items can contain commas
+    this.arrayValue = []
+    etch.initialize(this)
+
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.commands.add(this.element, {
+      'core:move-up': () => { this.scrollUp() },
+      'core:move-down': () => { this.scrollDown() },
+      'core:page-up': () => { this.pageUp() },
+      'core:page-down': () => { this.pageDown() },
+      'core:move-to-top': () => { this.scrollToTop() },
+      'core:move-to-bottom': () => { this.scrollToBottom() }
+    }))
+    this.subscriptions.add(atom.commands.add(this.refs.selectorEditor.element, {
+      'core:confirm': () => { this.saveOverride() }
+    }))
+    this.subscriptions.add(atom.commands.add(this.refs.valueEditor.element, {
+      'core:confirm': () => { this.saveOverride() }
+    }))
+    this.subscriptions.add(atom.config.onDidChange(() => { this.refresh() }))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  refresh () {
+    this.scopedSettings = getUserScopedSettings()
+    return etch.update(this)
+  }
+
+  render () {
+    const settingsByNamespace = _.groupBy(this.scopeableSettings, 'namespace')
+    const selectedKeyPath = this.refs && this.refs.keyPathSelect ? this.refs.keyPathSelect.value : 'editor.tabLength'
+    const selectedSchema = atom.config.getSchema(selectedKeyPath)
+    const isArray = selectedSchema != null && selectedSchema.type === 'array'
+
+    return (
+      <div tabIndex='0' className='panels-item scoped-settings-panel'>
+        <section className='section'>
+          <div className='section-container'>
+            <div className='section-heading icon icon-telescope'>
+              Scoped Settings
+              <span ref='totalCount' className='section-heading-count badge badge-flexible'>{this.scopedSettings.length}</span>
+            </div>
+            <div className='text native-key-bindings' tabIndex='-1'>
+              <span className='icon icon-question' />
+              These settings only apply in files or parts of files that match a scope selector, such as <code>.source.js .comment</code> or <code>.text.md</code>.
+              They are stored in your <a className='link' onclick={() => { atom.workspace.open(atom.config.getUserConfigPath()) }}>config file</a>.
+            </div>
+
+            <div ref='noScopedSettingsMessage' className={this.scopedSettings.length === 0 ? 'alert alert-info icon icon-info' : 'hidden'}>
+              You have not overridden any settings for a scope yet.
+            </div>
+            <table className={this.scopedSettings.length === 0 ? 'hidden' : 'native-key-bindings table text scoped-settings-table'} tabIndex='-1'>
+              <thead>
+                <tr>
+                  <th className='scope'>Scope Selector</th>
+                  <th className='key-path'>Setting</th>
+                  <th className='value'>Value</th>
+                  <th className='actions' />
+                </tr>
+              </thead>
+              <tbody ref='overrideRows'>
+                {this.scopedSettings.map((setting) => this.renderOverride(setting))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        <section className='section'>
+          <div className='section-container'>
+            <div ref='formHeading' className='section-heading icon icon-plus'>
+              {this.editedSetting ? 'Edit Override' : 'Add Override'}
+            </div>
+            <div className='control-group'>
+              <label className='control-label'>
+                <div className='setting-title'>Scope Selector</div>
+              </label>
+              <div className='editor-container'>
+                <TextEditor ref='selectorEditor' mini={true} placeholderText='.source.js .comment' />
+              </div>
+            </div>
+            <div className='control-group'>
+              <label className='control-label'>
+                <div className='setting-title'>Setting</div>
+              </label>
+              <select ref='keyPathSelect' className='form-control' onchange={() => { this.didChangeKeyPath() }}>
+                {Object.keys(settingsByNamespace).map((namespace) => (
+                  <optgroup label={getNamespaceTitle(namespace)}>
+                    {settingsByNamespace[namespace].map(({keyPath, title}) => (
+                      <option value={keyPath} selected={keyPath === selectedKeyPath}>{`${title} (${keyPath})`}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </div>
+            <div className='control-group'>
+              <label className='control-label'>
+                <div className='setting-title'>Value</div>
+                <div ref='valueDescription' className='setting-description'>{describeSchema(selectedSchema)}</div>
+              </label>
+              <div className={isArray ? 'hidden' : 'editor-container'}>
+                <TextEditor ref='valueEditor' mini={true} placeholderText={valueToString(atom.config.get(selectedKeyPath))} />
+              </div>
+              {isArray
+                ? <ArrayEditor
+                    ref='arrayEditor'
+                    key={selectedKeyPath}
+                    keyPath={selectedKeyPath}
+                    schema={selectedSchema}
+                    value={this.arrayValue}
+                    onDidChange={(value) => { this.arrayValue = value }} />
+                : null}
+            </div>
+            <div ref='errorMessage' className={this.errorMessage ? 'alert alert-danger icon icon-alert' : 'hidden'}>{this.errorMessage}</div>
+            <div className='btn-wrap-group'>
+              <button ref='saveButton' className='btn btn-primary icon icon-check' onclick={() => { this.saveOverride() }}>
+                {this.editedSetting ? 'Update Override' : 'Add Override'}
+              </button>
+              <button ref='cancelButton' className={this.editedSetting ? 'btn btn-default' : 'hidden'} onclick={() => { this.cancelEdit() }}>Cancel</button>
+            </div>
+          </div>
+        </section>
+      </div>
+    )
+  }
+
+  renderOverride (setting) {
+    const {scopeSelector, keyPath, value} = setting
+    return (
+      <tr key={`${scopeSelector} ${keyPath}`} className='scoped-setting' dataset={{scopeSelector, keyPath}}>
+        <td className='scope'>{scopeSelector}</td>
+        <td className='key-path'>{keyPath}</td>
+        <td className='value'>{valueToString(value)}</td>
+        <td className='actions'>
+          <div className='btn-group'>
+            <button className='btn btn-xs icon icon-pencil edit-button' onclick={() => { this.editOverride(setting) }}>Edit</button>
+            <button className='btn btn-xs icon icon-trashcan delete-button' onclick={() => { this.deleteOverride(setting) }}>Delete</button>
+          </div>
+        </td>
+      </tr>
+    )
+  }
+
+  // Fills the form with an existing override so that it can be changed.
+  editOverride (setting) {
+    const {scopeSelector, keyPath, value} = setting
+    if (!this.scopeableSettings.some((scopeableSetting) => scopeableSetting.keyPath === keyPath)) {
+      // Overrides written by hand may use keys that do not declare scoped defaults
+      this.scopeableSettings.push({namespace: keyPath.split('.')[0], keyPath, title: keyPath})
+    }
+
+    this.editedSetting = setting
+    this.errorMessage = null
+    this.arrayValue = _.isArray(value) ? value : []
+    this.refs.selectorEditor.setText(scopeSelector)
+    this.refs.valueEditor.setText(valueToString(value))
+    return etch.update(this).then(() => {
+      this.refs.keyPathSelect.value = keyPath
+      this.refs.valueEditor.element.focus()
+      return etch.update(this)
+    })
+  }
+
+  cancelEdit () {
+    this.editedSetting = null
+    this.errorMessage = null
+    this.arrayValue = []
+    this.refs.selectorEditor.setText('')
+    this.refs.valueEditor.setText('')
+    return etch.update(this)
+  }
+
+  didChangeKeyPath () {
+    this.arrayValue = []
+    return etch.update(this)
+  }
+
+  deleteOverride ({scopeSelector, keyPath}) {
+    settingsHistory.unset(keyPath, {scopeSelector})
+  }
+
+  // Saves the override described by the form. When an override is being
+  // edited and its selector or setting changed, the old one is removed.
+  saveOverride () {
+    const scopeSelector = this.refs.selectorEditor.getText().trim()
+    const keyPath = this.refs.keyPathSelect.value
+    const schema = atom.config.getSchema(keyPath)
+
+    let value
+    try {
+      if (!scopeSelector) {
+        throw new Error('Enter a scope selector, such as .source.js')
+      }
+      value = schema != null && schema.type === 'array'
+        ? this.getArrayValue()
+        : parseValue(this.refs.valueEditor.getText(), schema)
+      const error = validateValue(value, schema)
+      if (error != null) throw new Error(error)
+
+      settingsHistory.transact(() => {
+        if (settingsHistory.set(keyPath, value, {scopeSelector}) === false) {
+          throw new Error(`${valueToString(value)} is not a valid value for ${keyPath}.`)
+        }
+
+        const {editedSetting} = this
+        if (editedSetting && (editedSetting.scopeSelector !== scopeSelector || editedSetting.keyPath !== keyPath)) {
+          settingsHistory.unset(editedSetting.keyPath, {scopeSelector: editedSetting.scopeSelector})
+        }
+      })
+    } catch (error) {
+      this.errorMessage = error.message
+      return etch.update(this)
+    }
+
+    return this.cancelEdit()
+  }
+
+  getArrayValue () {
+    const {arrayEditor} = this.refs
+    if (arrayEditor.errors.some((error) => error != null)) {
+      throw new Error('Correct the items marked as invalid first.')
+    }
+    return arrayEditor.getValue()
+  }
+
+  focus () {
+    this.refs.selectorEditor.element.focus()
+  }
+
+  show () {
+    this.element.style.display = ''
+  }
+
+  scrollUp () {
+    this.element.scrollTop -= document.body.offsetHeight / 20
+  }
+
+  scrollDown () {
+    this.element.scrollTop += document.body.offsetHeight / 20
+  }
+
+  pageUp () {
+    this.element.scrollTop -= this.element.offsetHeight
+  }
+
+  pageDown () {
+    this.element.scrollTop += this.element.offsetHeight
+  }
+
+  scrollToTop () {
+    this.element.scrollTop = 0
+  }
+
+  scrollToBottom () {
+    this.element.scrollTop = this.element.scrollHeight
+  }
+}
+
+// Converts the text typed in the value editor to a value of the schema's type.
+// Objects are written as JSON. Arrays are edited with an ArrayEditor instead.
+function parseValue (text, schema = {}) {
+  text = text.trim()
+  if (text === '') {
+    throw new Error('Enter a value for the override.')
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      if (text === 'true' || text === 'false') return text === 'true'
+      throw new Error('Enter true or false.')
+    case 'integer':
+    case 'number': {
+      const number = Number(text)
+      if (isNaN(number)) throw new Error('Enter a number.')
+      return number
+    }
+    case 'object':
+      return JSON.parse(text)
+    default:
+      return text
+  }
+}
+
+function describeSchema (schema) {
+  if (schema == null) return ''
+
+  const enumValues = schema.enum || (schema.items && schema.items.enum)
+  if (enumValues) {
+    return `One of: ${enumValues.map((option) => (_.isObject(option) ? option.value : option)).join(', ')}`
+  }
+
+  switch (schema.type) {
+    case 'boolean': return 'true or false'
+    case 'integer': return 'A whole number'
+    case 'number': return 'A number'
+    case 'array': return 'A list, with one item per row'
+    case 'object': return 'A JSON object'
+    default: return schema.type ? `A ${schema.type}` : ''
+  }
+}
+
+function valueToString (value) {
+  if (value == null) {
+    return ''
+  } else if (_.isArray(value) && value.every((item) => _.isString(item) && !item.includes(','))) {
+    return value.join(', ')
+  } else if (_.isObject(value)) {
+    return JSON.stringify(value)
+  } else {
+    return value.toString()
+  }
+}
@@ -0,0 +1,140 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import SettingsPanel from './settings-panel'
+import {searchSettings, getNamespaceTitle, getPanelURIForNamespace} from './settings-utils'
+
+const NAMESPACE_ICONS = {
+  core: 'settings',
+  editor: 'code'
+}
+
+// Displays the settings of every namespace that match the query typed into
+// the search box in the SettingsView sidebar.
+export default class SearchSettingsPanel {
+  constructor () {
+    this.query = ''
+    this.settingsPanels = []
+    etch.initialize(this)
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.commands.add(this.element, {
+      'core:move-up': () => { this.scrollUp() },
+      'core:move-down': () => { this.scrollDown() },
+      'core:page-up': () => { this.pageUp() },
+      'core:page-down': () => { this.pageDown() },
+      'core:move-to-top': () => { this.scrollToTop() },
+      'core:move-to-bottom': () => { this.scrollToBottom() }
+    }))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    this.destroySettingsPanels()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    return (
+      <div tabIndex='0' className='panels-item search-settings-panel' onclick={this.didClick}>
+        <section className='section'>
+          <div className='section-container'>
+            <div className='section-heading icon icon-search'>Search Results</div>
+            <div ref='summary' className='text native-key-bindings' tabIndex='-1' />
+          </div>
+        </section>
+        <div ref='results' />
+      </div>
+    )
+  }
+
+  beforeShow (options) {
+    if (options && options.query != null) {
+      this.search(options.query)
+    }
+  }
+
+  search (query) {
+    if (query === this.query) return
+
+    this.query = query
+    this.destroySettingsPanels()
+
+    const results = searchSettings(query)
+    const resultsByNamespace = _.groupBy(results, 'namespace')
+    for (const namespace in resultsByNamespace) {
+      const names = resultsByNamespace[namespace].map(({name}) => name)
+      const panel = new SettingsPanel({
+        namespace,
+        names,
+        title: `${getNamespaceTitle(namespace)} Settings`,
+        icon: NAMESPACE_ICONS[namespace] || 'package'
+      })
+
+      const link = document.createElement('a')
+      link.classList.add('link', 'search-settings-panel-link')
+      link.dataset.uri = getPanelURIForNamespace(namespace)
+      link.textContent = `Open ${getNamespaceTitle(namespace)} settings`
+      const sectionBody = panel.element.querySelector('.section-body')
+      sectionBody.parentElement.insertBefore(link, sectionBody)
+
+      this.refs.results.appendChild(panel.element)
+      this.settingsPanels.push(panel)
+    }
+
+    const count = results.length
+    this.refs.summary.textContent = count === 0
+      ? `No settings match “${query}”.`
+      : `${count} ${count === 1 ? 'setting matches' : 'settings match'} “${query}”.`
+  }
+
+  destroySettingsPanels () {
+    for (const panel of this.settingsPanels) {
+      panel.destroy()
+    }
+    this.settingsPanels = []
+  }
+
+  // Keep the focus in the sidebar search box so that typing isn't interrupted
+  // when the results are shown.
+  focus () {}
+
+  show () {
+    this.element.style.display = ''
+  }
+
+  didClick (event) {
+    const target = event.target.closest('.search-settings-panel-link')
+    if (target) {
+      atom.workspace.open(target.dataset.uri)
+    }
+  }
+
+  scrollUp () {
+    this.element.scrollTop -= document.body.offsetHeight / 20
+  }
+
+  scrollDown () {
+    this.element.scrollTop += document.body.offsetHeight / 20
+  }
+
+  pageUp () {
+    this.element.scrollTop -= this.element.offsetHeight
+  }
+
+  pageDown () {
+    this.element.scrollTop += this.element.offsetHeight
+  }
+
+  scrollToTop () {
+    this.element.scrollTop = 0
+  }
+
+  scrollToBottom () {
+    this.element.scrollTop = this.element.scrollHeight
+  }
+}
@@ -0,0 +1,103 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import {CompositeDisposable} from 'atom'
+import etch from 'etch'
+import _ from 'underscore-plus'
+import settingsHistory from './settings-history'
+
+// A drawer listing the recent setting changes, with buttons to undo and redo
+// the ones made from the settings view.
+export default class SettingsHistoryView {
+  constructor () {
+    this.visible = false
+    etch.initialize(this)
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(settingsHistory.onDidChange(() => {
+      if (this.visible) etch.update(this)
+    }))
+  }
+
+  destroy () {
+    this.subscriptions.dispose()
+    return etch.destroy(this)
+  }
+
+  update () {}
+
+  render () {
+    if (!this.visible) {
+      return <div className='settings-history-drawer hidden' />
+    }
+
+    const entries = settingsHistory.getEntries()
+    return (
+      <div className='settings-history-drawer'>
+        <div className='settings-history-heading'>
+          <span className='icon icon-history'>History</span>
+          <div className='btn-group btn-group-xs'>
+            <button
+              ref='undoButton'
+              className='btn icon icon-arrow-left'
+              title='Undo the last setting change'
+              disabled={!settingsHistory.canUndo()}
+              onclick={() => { settingsHistory.undo() }}>Undo</button>
+            <button
+              ref='redoButton'
+              className='btn icon icon-arrow-right'
+              title='Redo the last undone setting change'
+              disabled={!settingsHistory.canRedo()}
+              onclick={() => { settingsHistory.redo() }}>Redo</button>
+          </div>
+        </div>
+        <div ref='emptyMessage' className={entries.length === 0 ? 'text-subtle' : 'hidden'}>
+          No settings have been changed yet.
+        </div>
+        <ol ref='entryList' className='settings-history-entries'>
+          {entries.map((entry) => this.renderEntry(entry))}
+        </ol>
+      </div>
+    )
+  }
+
+  renderEntry (entry) {
+    let className = 'settings-history-entry'
+    if (!entry.undoable) className += ' is-external'
+    if (entry.undone) className += ' is-undone'
+
+    let title = `${valueToString(entry.oldValue)} → ${valueToString(entry.newValue)}`
+    if (!entry.undoable) title += '\nChanged outside of the settings view, so it cannot be undone here.'
+
+    return (
+      <li className={className} title={title} dataset={{keyPath: entry.keyPath}}>
+        <div className='settings-history-key-path'>
+          {entry.undoable ? null : <span className='icon icon-file-text' />}
+          {entry.keyPath}
+        </div>
+        <div className='settings-history-details text-subtle'>
+          {entry.scopeSelector ? `${entry.scopeSelector} · ` : ''}
+          {entry.time.toLocaleTimeString()}
+        </div>
+      </li>
+    )
+  }
+
+  isVisible () {
+    return this.visible
+  }
+
+  toggle () {
+    this.visible = !this.visible
+    return etch.update(this)
+  }
+}
+
+function valueToString (value) {
+  if (value === undefined) {
+    return 'default'
+  } else if (_.isObject(value)) {
+    return JSON.stringify(value)
+  } else {
+    return String(value)
+  }
+}
@@ -0,0 +1,198 @@
+const _ = require('underscore-plus')
+const {CompositeDisposable, Emitter} = require('atom')
+const {getUserScopedValue, flattenSettings} = require('./settings-utils')
+
+// The most entries kept in the history log
+const MAX_ENTRIES = 100
+
+// Keeps an in-memory history of the changes made to the config so that
+// changes made through the settings view can be undone and redone.
+//
+// Changes made elsewhere (e.g. by editing config.cson) are logged while the
+// history is active, but they cannot be undone from here. It becomes active
+// when the settings view is created or on the first change made through it,
+// so that windows which never open the settings view do not watch the config.
+class SettingsHistory {
+  constructor () {
+    this.entries = []
+    this.undoStack = []
+    this.redoStack = []
+    this.applyingDepth = 0
+    this.emitter = new Emitter()
+  }
+
+  // Starts logging changes made outside of the settings view.
+  activate () {
+    if (this.subscriptions) return
+
+    // The values passed to Config::onDidChange include the schema defaults,
+    // so a package activating would look like a change of each of its
+    // settings. Only the values of the user's config file are compared.
+    this.userValues = this.getUserValues()
+    this.subscriptions = new CompositeDisposable()
+    this.subscriptions.add(atom.config.onDidChange(() => {
+      const oldValues = this.userValues
+      this.userValues = this.getUserValues()
+      if (this.applyingDepth === 0) {
+        this.logExternalChanges(oldValues, this.userValues)
+      }
+    }))
+  }
+
+  deactivate () {
+    if (this.subscriptions) this.subscriptions.dispose()
+    this.subscriptions = null
+    this.userValues = null
+  }
+
+  // Sets a global value, or a scoped one when `scopeSelector` is given, and
+  // records the change. An `undefined` value unsets the key.
+  //
+  // Returns `false` if the value was invalid, like {Config::set}.
+  set (keyPath, value, {scopeSelector} = {}) {
+    this.activate()
+
+    const oldValue = this.getUserValue(keyPath, scopeSelector)
+    const result = this.apply(keyPath, scopeSelector, value)
+    const newValue = this.getUserValue(keyPath, scopeSelector)
+
+    if (!_.isEqual(oldValue, newValue)) {
+      const entry = {keyPath, scopeSelector, oldValue, newValue, time: new Date(), undoable: true, undone: false}
+      this.addEntry(entry)
+      this.undoStack.push(entry)
+      this.redoStack = []
+      this.emitter.emit('did-change')
+    }
+    return result
+  }
+
+  unset (keyPath, options) {
+    return this.set(keyPath, undefined, options)
+  }
+
+  // Groups several changes into a single config transaction.
+  transact (callback) {
+    this.applyingDepth++
+    try {
+      return atom.config.transact(callback)
+    } finally {
+      this.applyingDepth--
+    }
+  }
+
+  canUndo () {
+    return this.undoStack.length > 0
+  }
+
+  canRedo () {
+    return this.redoStack.length > 0
+  }
+
+  undo () {
+    const entry = this.undoStack.pop()
+    if (entry == null) return
+
+    this.apply(entry.keyPath, entry.scopeSelector, entry.oldValue)
+    entry.undone = true
+    this.redoStack.push(entry)
+    this.emitter.emit('did-change')
+    return entry
+  }
+
+  redo () {
+    const entry = this.redoStack.pop()
+    if (entry == null) return
+
+    this.apply(entry.keyPath, entry.scopeSelector, entry.newValue)
+    entry.undone = false
+    this.undoStack.push(entry)
+    this.emitter.emit('did-change')
+    return entry
+  }
+
+  // Returns the logged changes, most recent first.
+  getEntries () {
+    return this.entries.slice().reverse()
+  }
+
+  clear () {
+    this.entries = []
+    this.undoStack = []
+    this.redoStack = []
+    this.emitter.emit('did-change')
+  }
+
+  onDidChange (callback) {
+    return this.emitter.on('did-change', callback)
+  }
+
+  getUserValue (keyPath, scopeSelector) {
+    if (scopeSelector) {
+      return getUserScopedValue(keyPath, scopeSelector)
+    } else {
+      return atom.config.get(keyPath, {sources: [atom.config.getUserConfigPath()]})
+    }
+  }
+
+  apply (keyPath, scopeSelector, value) {
+    this.applyingDepth++
+    try {
+      if (scopeSelector) {
+        if (value === undefined) {
+          atom.config.unset(keyPath, {scopeSelector})
+          return true
+        } else {
+          return atom.config.set(keyPath, value, {scopeSelector})
+        }
+      } else {
+        // Config::unset without a scope selector would also remove the scoped
+        // overrides of the key, which the entry could not bring back
+        return atom.config.set(keyPath, value)
+      }
+    } finally {
+      this.applyingDepth--
+    }
+  }
+
+  // Returns the global values of the user's config file keyed by key path.
+  getUserValues () {
+    return flattenSettings(atom.config.get(null, {sources: [atom.config.getUserConfigPath()]}))
+  }
+
+  // Drops the oldest external entry once the log is full, so that changes
+  // made elsewhere do not push undoable ones out of the history. Undoable
+  // entries are only dropped when there is no external one left.
+  addEntry (entry) {
+    this.entries.push(entry)
+    if (this.entries.length > MAX_ENTRIES) {
+      let index = this.entries.findIndex(({undoable}) => !undoable)
+      if (index === -1) index = 0
+      const [removedEntry] = this.entries.splice(index, 1)
+      this.undoStack = this.undoStack.filter((undoEntry) => undoEntry !== removedEntry)
+      this.redoStack = this.redoStack.filter((redoEntry) => redoEntry !== removedEntry)
+    }
+  }
+
+  logExternalChanges (oldValues, newValues) {
+    let changed = false
+    for (const keyPath of _.union(Object.keys(oldValues), Object.keys(newValues))) {
+      if (!_.isEqual(oldValues[keyPath], newValues[keyPath])) {
+        this.addEntry({
+          keyPath,
+          scopeSelector: null,
+          oldValue: oldValues[keyPath],
+          newValue: newValues[keyPath],
+          time: new Date(),
+          undoable: false,
+          undone: false
+        })
+        changed = true
+      }
+    }
+
+    if (changed) this.emitter.emit('did-change')
+  }
+}
+
+// A single history is shared by every panel of the settings view.
+module.exports = new SettingsHistory()
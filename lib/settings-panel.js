@@ -3,22 +3,21 @@
 import {CompositeDisposable, Disposable, TextEditor} from 'atom'
 import _ from 'underscore-plus'
 import CollapsibleSectionPanel from './collapsible-section-panel'
+import ArrayEditor from './array-editor'
+import MapEditor from './map-editor'
+import FontPicker from './font-picker'
 import {getSettingDescription} from './rich-description'
-
-const SCOPED_SETTINGS = [
-  'autoIndent',
-  'autoIndentOnPaste',
-  'invisibles',
-  'nonWordCharacters',
-  'preferredLineLength',
-  'scrollPastEnd',
-  'showIndentGuide',
-  'showInvisibles',
-  'softWrap',
-  'softWrapAtPreferredLineLength',
-  'softWrapHangingIndent',
-  'tabLength',
-  'tabType'
+import {isHiddenSetting, getUserScopedValue, getSettingURI, getScopeableSettings, getNamespaceTitle} from './settings-utils'
+import {validateValue} from './schema-validator'
+import settingsHistory from './settings-history'
+
+// Groups the editor settings of scoped panels, e.g. grammar settings, so that
+// the long list stays readable. Editor settings not listed here go under
+// "Other Editor Settings" and package settings get a group per package.
+const SCOPED_EDITOR_GROUPS = [
+  {title: 'Indentation', names: ['tabLength', 'tabType', 'atomicSoftTabs', 'autoIndent', 'autoIndentOnPaste', 'showIndentGuide']},
+  {title: 'Wrapping', names: ['softWrap', 'softWrapAtPreferredLineLength', 'softWrapHangingIndent', 'preferredLineLength', 'maxScreenLineLength']},
+  {title: 'Display', names: ['fontFamily', 'fontSize', 'lineHeight', 'showInvisibles', 'invisibles', 'showLineNumbers', 'showCursorOnSelection', 'scrollPastEnd']}
 ]
 
 export default class SettingsPanel extends CollapsibleSectionPanel {
@@ -31,10 +30,17 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     this.disposables = new CompositeDisposable()
     let settings
     if (this.options.scopeName) {
+      // Every setting that can be overridden for a scope, keyed by key path
       namespace = 'editor'
       settings = {}
-      for (const name of SCOPED_SETTINGS) {
-        settings[name] = atom.config.get(name, {scope: [this.options.scopeName]})
+      for (const {keyPath} of getScopeableSettings()) {
+        settings[keyPath] = atom.config.get(keyPath, {scope: [this.options.scopeName]})
+      }
+    } else if (this.options.names) {
+      // Only show the given subset of the namespace, e.g. search results
+      settings = {}
+      for (const name of this.options.names) {
+        settings[name] = atom.config.get(`${namespace}.${name}`)
       }
     } else {
       settings = atom.config.get(namespace)
@@ -45,7 +51,12 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     this.disposables.add(this.bindInputFields())
     this.disposables.add(this.bindSelectFields())
     this.disposables.add(this.bindEditors())
+    this.disposables.add(this.bindStructuredEditors())
     this.disposables.add(this.bindTooltips())
+    this.disposables.add(this.bindResetButtons())
+    this.disposables.add(this.bindCopyLinkButtons())
+    this.disposables.add(this.bindValueSources())
+    this.disposables.add(this.bindSettingLinks())
     this.disposables.add(this.handleEvents())
   }
 
@@ -73,7 +84,6 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
 
     const icon = this.options.icon != null ? this.options.icon : 'gear'
     const {note} = this.options
-    const sortedSettings = this.sortSettings(namespace, settings)
 
     const container = document.createElement('div')
     container.classList.add('section-container')
@@ -83,14 +93,27 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     heading.textContent = title
     container.appendChild(heading)
 
+    const resetAllButton = document.createElement('button')
+    resetAllButton.classList.add('btn', 'btn-xs', 'icon', 'icon-history', 'settings-reset-all-button')
+    resetAllButton.textContent = 'Reset all settings'
+    heading.appendChild(resetAllButton)
+
     if (note) {
       container.insertAdjacentHTML('beforeend', note)
     }
 
     const body = document.createElement('div')
     body.classList.add('section-body')
-    for (const name of sortedSettings) {
-      body.appendChild(elementForSetting(namespace, name, settings[name]))
+    if (this.options.scopeName) {
+      for (const group of groupScopedSettings(Object.keys(settings))) {
+        const groupElement = elementForSettingsGroup(group, settings)
+        groupElement.dataset.sectionKey = `${this.options.scopeName} ${group.title}`
+        body.appendChild(groupElement)
+      }
+    } else {
+      for (const name of this.sortSettings(namespace, settings)) {
+        body.appendChild(elementForSetting(namespace, name, settings[name]))
+      }
     }
     container.appendChild(body)
 
@@ -185,18 +208,101 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     return defaultValue
   }
 
-  set (name, value) {
-    if (this.options.scopeName) {
-      if (value === undefined) {
-        atom.config.unset(name, {scopeSelector: this.options.scopeName})
-      } else {
-        atom.config.set(name, value, {scopeSelector: this.options.scopeName})
+  // Returns every layer that can provide the setting's value, ordered from the
+  // one that wins to the schema default the way Atom resolves it: scoped
+  // values, then the project config, then the user's config file. Each layer
+  // has a `source` (`project`, `user`, `other` or `default`), a
+  // `scopeSelector` for scoped values, a short `label`, a `description` and
+  // its `value`. The layer whose value is in effect has `isEffective` set.
+  getValueTrace (name) {
+    // Config::projectFile and Config::projectSettings are private, and only
+    // set while a project specification is loaded.
+    const {projectFile, projectSettings} = atom.config
+    const layers = []
+
+    if (this.options.scopeName != null) {
+      for (const {scopeSelector, value} of atom.config.getAll(name, {scope: [this.options.scopeName]})) {
+        if (scopeSelector === '*') continue
+
+        if (_.isEqual(getUserScopedValue(name, scopeSelector), value)) {
+          layers.push({source: 'user', scopeSelector, value, label: 'Scoped override', description: `Your config file, for ${scopeSelector}`})
+        } else if (projectFile != null && _.isEqual(getScopedValueForSource(projectFile, name, scopeSelector), value)) {
+          layers.push({source: 'project', scopeSelector, value, label: 'Scoped project override', description: `The project config, for ${scopeSelector}`})
+        } else {
+          layers.push({source: 'other', scopeSelector, value, label: 'Scoped default', description: `A package or language default, for ${scopeSelector}`})
+        }
       }
+    }
+
+    if (projectFile != null) {
+      layers.push({
+        source: 'project',
+        value: _.valueForKeyPath(projectSettings, name),
+        label: 'Project config',
+        description: `The project config, ${projectFile}`
+      })
+    }
+
+    // Config::settings holds the global values of the user's config file only
+    layers.push({
+      source: 'user',
+      value: _.valueForKeyPath(atom.config.settings, name),
+      label: 'Config file',
+      description: 'Your config file'
+    })
+
+    const schema = atom.config.getSchema(name)
+    const defaultValue = schema != null ? schema.default : undefined
+    layers.push({source: 'default', value: defaultValue, label: 'Default', description: 'The default value'})
+
+    const effectiveLayer = layers.find(({value}) => value != null)
+    if (effectiveLayer) effectiveLayer.isEffective = true
+    return layers
+  }
+
+  // Is the setting overridden in the user's config file for the scope this
+  // panel edits? Unlike `isDefault`, a scoped panel only considers values set
+  // for its own scope selector, since those are the only ones it can reset.
+  isModified (name) {
+    if (this.options.scopeName != null) {
+      return getUserScopedValue(name, this.options.scopeName) !== undefined
     } else {
-      atom.config.set(name, value)
+      return !this.isDefault(name)
     }
   }
 
+  // Restores the default value of the setting for the scope this panel edits.
+  reset (name) {
+    settingsHistory.unset(name, {scopeSelector: this.options.scopeName})
+  }
+
+  resetAll () {
+    const names = Array.from(this.element.querySelectorAll('.setting-reset-button'))
+      .map((button) => button.dataset.keyPath)
+      .filter((name) => this.isModified(name))
+    if (names.length === 0) return
+
+    const scopeDescription = this.options.scopeName ? ` for ${this.options.scopeName}` : ''
+    const chosen = atom.confirm({
+      message: `Reset all settings${scopeDescription}?`,
+      detailedMessage: `${names.length} modified ${names.length === 1 ? 'setting' : 'settings'} will be restored to the default:\n\n${names.join('\n')}`,
+      buttons: ['Reset', 'Cancel']
+    })
+    if (chosen !== 0) return
+
+    settingsHistory.transact(() => {
+      for (const name of names) {
+        this.reset(name)
+      }
+    })
+  }
+
+  // Changes made here are recorded so they can be undone from the history
+  // drawer or with `settings-view:undo-setting-change`.
+  set (name, value) {
+    return settingsHistory.set(name, value, {scopeSelector: this.options.scopeName})
+  }
+
   setText (editor, name, type, value) {
     let stringValue
     if (this.isDefault(name)) {
@@ -256,21 +362,30 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
       editorElement.addEventListener('blur', blurHandler)
       subscriptions.add(new Disposable(() => editorElement.removeEventListener('blur', blurHandler)))
 
+      const controlGroup = editorElement.closest('.control-group')
+      const validationMessage = controlGroup ? controlGroup.querySelector('.setting-validation-message') : null
+      const showValidationError = (error) => {
+        if (validationMessage == null) return
+        controlGroup.classList.toggle('has-error', error != null)
+        validationMessage.textContent = error || ''
+      }
+
       this.observe(name, (value) => {
+        showValidationError(null)
         this.setText(editor, name, type, value)
       })
 
+      // Invalid text is left in the editor with an explanation so it can be
+      // corrected; only valid values are written to the config.
       subscriptions.add(editor.onDidStopChanging(() => {
-        const {minimum, maximum} = atom.config.getSchema(name)
         const value = this.parseValue(type, editor.getText())
-        if (minimum != null && value < minimum) {
-          this.set(name, minimum)
-          this.setText(editor, name, type, minimum)
-        } else if (maximum != null && value > maximum) {
-          this.set(name, maximum)
-          this.setText(editor, name, type, maximum)
+        const error = validateValue(value, atom.config.getSchema(name))
+        if (error != null) {
+          showValidationError(error)
         } else if (!this.set(name, value)) {
-          this.setText(editor, name, type, atom.config.get(name))
+          showValidationError('This value could not be saved.')
+        } else {
+          showValidationError(null)
         }
       }))
 
@@ -280,6 +395,26 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     return new CompositeDisposable(...disposables)
   }
 
+  // Binds the list and key/value editors of array and free-form object settings.
+  bindStructuredEditors () {
+    const disposables = Array.from(this.element.querySelectorAll('.array-editor[id], .map-editor[id], .font-picker[id]')).map((element) => {
+      const structuredEditor = element.getModel()
+      const name = element.id
+
+      // Unlike text editors there is no placeholder, so show the default value
+      this.observe(name, (value) => {
+        structuredEditor.setValue(value != null ? value : this.getDefault(name))
+      })
+
+      return new CompositeDisposable(
+        structuredEditor.onDidChange((value) => { this.set(name, value) }),
+        new Disposable(() => structuredEditor.destroy())
+      )
+    })
+
+    return new CompositeDisposable(...disposables)
+  }
+
   bindTooltips () {
     const disposables = Array.from(this.element.querySelectorAll('input[id], select[id], atom-text-editor[id]')).map((element) => {
       let defaultValue = this.valueToString(this.getDefault(element.id))
@@ -297,6 +432,108 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     return new CompositeDisposable(...disposables)
   }
 
+  bindResetButtons () {
+    const resetAllButton = this.element.querySelector('.settings-reset-all-button')
+    const updateResetAllButton = () => {
+      if (resetAllButton) {
+        resetAllButton.disabled = this.element.querySelector('.control-group.is-modified') == null
+      }
+    }
+
+    const disposables = Array.from(this.element.querySelectorAll('.setting-reset-button')).map((button) => {
+      const name = button.dataset.keyPath
+      const controlGroup = button.closest('.control-group')
+      this.observe(name, () => {
+        controlGroup.classList.toggle('is-modified', this.isModified(name))
+        updateResetAllButton()
+      })
+
+      const clickHandler = (event) => {
+        event.preventDefault()
+        this.reset(name)
+      }
+      button.addEventListener('click', clickHandler)
+      return new Disposable(() => button.removeEventListener('click', clickHandler))
+    })
+
+    if (resetAllButton) {
+      updateResetAllButton()
+      const resetAllClickHandler = (event) => {
+        event.preventDefault()
+        this.resetAll()
+      }
+      resetAllButton.addEventListener('click', resetAllClickHandler)
+      disposables.push(new Disposable(() => resetAllButton.removeEventListener('click', resetAllClickHandler)))
+    }
+
+    return new CompositeDisposable(...disposables)
+  }
+
+  bindCopyLinkButtons () {
+    const disposables = Array.from(this.element.querySelectorAll('.setting-copy-link-button')).map((button) => {
+      const clickHandler = (event) => {
+        event.preventDefault()
+        const uri = getSettingURI(button.dataset.keyPath)
+        atom.clipboard.write(uri)
+        atom.notifications.addSuccess('Copied a link to the setting', {detail: uri})
+      }
+      button.addEventListener('click', clickHandler)
+      return new Disposable(() => button.removeEventListener('click', clickHandler))
+    })
+
+    return new CompositeDisposable(...disposables)
+  }
+
+  bindValueSources () {
+    const disposables = Array.from(this.element.querySelectorAll('.setting-value-source-button')).map((button) => {
+      const name = button.dataset.keyPath
+      const controlGroup = button.closest('.control-group')
+      const trace = controlGroup.querySelector('.setting-value-trace')
+
+      const update = () => {
+        const layers = this.getValueTrace(name)
+        const effectiveLayer = layers.find(({isEffective}) => isEffective) || _.last(layers)
+        button.textContent = effectiveLayer.label
+        button.title = `${effectiveLayer.description}. Click to see every value.`
+        controlGroup.dataset.valueSource = effectiveLayer.source
+
+        trace.innerHTML = ''
+        for (const layer of layers) {
+          trace.appendChild(elementForValueTraceLayer(layer))
+        }
+      }
+
+      update()
+      const params = this.options.scopeName != null ? {scope: [this.options.scopeName]} : {}
+      const changeSubscription = atom.config.onDidChange(name, params, update)
+
+      const clickHandler = (event) => {
+        event.preventDefault()
+        trace.hidden = !trace.hidden
+        button.classList.toggle('selected', !trace.hidden)
+      }
+      button.addEventListener('click', clickHandler)
+      return new CompositeDisposable(changeSubscription, new Disposable(() => button.removeEventListener('click', clickHandler)))
+    })
+
+    return new CompositeDisposable(...disposables)
+  }
+
+  // Descriptions can link to other settings with `atom://config` URIs, which
+  // Atom would otherwise not know how to open.
+  bindSettingLinks () {
+    const clickHandler = (event) => {
+      const link = event.target.closest('.setting-description a[href^="atom://config"]')
+      if (link) {
+        event.preventDefault()
+        event.stopPropagation()
+        atom.workspace.open(link.getAttribute('href'))
+      }
+    }
+    this.element.addEventListener('click', clickHandler)
+    return new Disposable(() => this.element.removeEventListener('click', clickHandler))
+  }
+
   valueToString (value) {
     if (Array.isArray(value)) {
       return value.join(', ') || null
@@ -311,15 +548,13 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
     if (value === '') {
       return undefined
     } else if (type === 'number') {
-      let floatValue = parseFloat(value)
-      if (isNaN(floatValue)) {
+      // Unlike parseFloat, Number rejects trailing text such as `12px`
+      let numberValue = value.trim() === '' ? NaN : Number(value)
+      if (isNaN(numberValue)) {
         return value
       } else {
-        return floatValue
+        return numberValue
       }
-    } else if (type === 'array') {
-      let arrayValue = (value || '').split(',')
-      return arrayValue.filter((val) => val).map((val) => val.trim())
     } else {
       return value
     }
@@ -330,15 +565,6 @@ export default class SettingsPanel extends CollapsibleSectionPanel {
  * Space Pen Helpers
  */
 
-let isEditableArray = function(array) {
-  for (let item of array) {
-    if (!_.isString(item)) {
-      return false
-    }
-  }
-  return true
-}
-
 function sortSettings (namespace, settings) {
   return _.chain(settings)
     .keys()
@@ -350,19 +576,76 @@ function sortSettings (namespace, settings) {
     .value()
 }
 
-function elementForSetting (namespace, name, value) {
-  if (namespace === 'core') {
-    if (name === 'themes') { return document.createDocumentFragment() } // Handled in the Themes panel
-    if (name === 'disabledPackages') { return document.createDocumentFragment() } // Handled in the Packages panel
-    if (name === 'customFileTypes') { return document.createDocumentFragment() }
-    if (name === 'uriHandlerRegistration') { return document.createDocumentFragment() } // Handled in the URI Handler panel
+// Splits the key paths of a scoped panel into `{title, namespace, names,
+// collapsed}` groups, `names` being relative to `namespace`.
+function groupScopedSettings (keyPaths) {
+  const namesByNamespace = {}
+  for (const keyPath of keyPaths) {
+    const [namespace, ...rest] = keyPath.split('.')
+    if (namesByNamespace[namespace] == null) namesByNamespace[namespace] = []
+    namesByNamespace[namespace].push(rest.join('.'))
   }
 
-  if (namespace === 'editor') {
-    // There's no global default for these, they are defined by language packages
-    if (['commentStart', 'commentEnd', 'increaseIndentPattern', 'decreaseIndentPattern', 'foldEndPattern'].includes(name)) {
-      return document.createDocumentFragment()
-    }
+  // Nested settings such as `invisibles.eol` go with their parent
+  const isInGroup = (name, names) => names.includes(name.split('.')[0])
+
+  const groups = []
+  const editorNames = namesByNamespace.editor || []
+  for (const {title, names} of SCOPED_EDITOR_GROUPS) {
+    groups.push({title, namespace: 'editor', names: editorNames.filter((name) => isInGroup(name, names)), collapsed: false})
+  }
+  const groupedNames = _.flatten(SCOPED_EDITOR_GROUPS.map(({names}) => names))
+  groups.push({title: 'Other Editor Settings', namespace: 'editor', names: editorNames.filter((name) => !isInGroup(name, groupedNames)), collapsed: true})
+
+  for (const namespace of Object.keys(namesByNamespace).sort()) {
+    if (namespace === 'editor') continue
+    groups.push({title: getNamespaceTitle(namespace), namespace, names: namesByNamespace[namespace], collapsed: true})
+  }
+
+  return groups.filter(({namespace, names}) => names.some((name) => !isHiddenSetting(namespace, name)))
+}
+
+function elementForSettingsGroup ({title, namespace, names, collapsed}, settings) {
+  const section = document.createElement('section')
+  section.classList.add('sub-section', 'settings-group')
+  if (collapsed) {
+    section.classList.add('collapsed')
+  }
+
+  const h3 = document.createElement('h3')
+  h3.classList.add('sub-section-heading', 'has-items')
+  h3.textContent = title
+  section.appendChild(h3)
+
+  const values = {}
+  for (const name of names) {
+    values[name] = settings[`${namespace}.${name}`]
+  }
+
+  const div = document.createElement('div')
+  div.classList.add('sub-section-body')
+  for (const name of sortSettings(namespace, values)) {
+    div.appendChild(elementForSetting(namespace, name, values[name]))
+  }
+  section.appendChild(div)
+
+  return section
+}
+
+// String settings holding a CSS font-family stack. Package settings opt in
+// with `format: 'font-family'`.
+function isFontFamily (keyPath, schema) {
+  return schema != null && schema.type === 'string' && (keyPath === 'editor.fontFamily' || schema.format === 'font-family')
+}
+
+// Objects whose keys are chosen by the user rather than declared by the schema
+function isFreeFormObject (schema) {
+  return schema != null && schema.type === 'object' && (_.isEmpty(schema.properties) || _.isObject(schema.additionalProperties))
+}
+
+function elementForSetting (namespace, name, value) {
+  if (isHiddenSetting(namespace, name)) {
+    return document.createDocumentFragment()
   }
 
   const controlGroup = document.createElement('div')
@@ -372,7 +655,8 @@ function elementForSetting (namespace, name, value) {
   controls.classList.add('controls')
   controlGroup.appendChild(controls)
 
-  let schema = atom.config.getSchema(`${namespace}.${name}`)
+  let keyPath = `${namespace}.${name}`
+  let schema = atom.config.getSchema(keyPath)
   if (schema && schema.enum) {
     controls.appendChild(elementForOptions(namespace, name, value))
   } else if (schema && schema.type === 'color') {
@@ -380,18 +664,83 @@ function elementForSetting (namespace, name, value) {
   } else if (_.isBoolean(value) || (schema && schema.type === 'boolean')) {
     controls.appendChild(elementForCheckbox(namespace, name, value))
   } else if (_.isArray(value) || (schema && schema.type === 'array')) {
-    if (isEditableArray(value)) {
-      controls.appendChild(elementForArray(namespace, name, value))
-    }
+    controls.appendChild(elementForArray(namespace, name, value))
+  } else if (isFontFamily(keyPath, schema)) {
+    controls.appendChild(elementForFontPicker(namespace, name, value))
+  } else if (isFreeFormObject(schema)) {
+    controls.appendChild(elementForMap(namespace, name, value))
   } else if (_.isObject(value) || (schema && schema.type === 'object')) {
+    // Each setting in the group gets its own actions
     controls.appendChild(elementForObject(namespace, name, value))
+    return controlGroup
   } else {
     controls.appendChild(elementForEditor(namespace, name, value))
   }
 
+  controlGroup.insertBefore(elementForSettingActions(keyPath), controls)
+  controlGroup.appendChild(elementForValueTrace())
   return controlGroup
 }
 
+function elementForSettingActions (keyPath) {
+  const actions = document.createElement('div')
+  actions.classList.add('setting-actions')
+
+  const valueSourceButton = document.createElement('button')
+  valueSourceButton.classList.add('btn', 'btn-xs', 'setting-value-source-button')
+  valueSourceButton.dataset.keyPath = keyPath
+  actions.appendChild(valueSourceButton)
+
+  const copyLinkButton = document.createElement('button')
+  copyLinkButton.classList.add('btn', 'btn-xs', 'icon', 'icon-link', 'setting-copy-link-button')
+  copyLinkButton.dataset.keyPath = keyPath
+  copyLinkButton.title = 'Copy a link to this setting'
+  actions.appendChild(copyLinkButton)
+
+  const resetButton = document.createElement('button')
+  resetButton.classList.add('btn', 'btn-xs', 'icon', 'icon-history', 'setting-reset-button')
+  resetButton.dataset.keyPath = keyPath
+  resetButton.textContent = 'Reset'
+  resetButton.title = 'Restore the default value'
+  actions.appendChild(resetButton)
+
+  return actions
+}
+
+// Returns the value `source` sets for the key path under exactly the given
+// scope selector, or `undefined` if there is none.
+function getScopedValueForSource (source, keyPath, scopeSelector) {
+  const properties = atom.config.scopedSettingsStore.propertiesForSourceAndSelector(source, scopeSelector)
+  return _.valueForKeyPath(properties, keyPath)
+}
+
+// Lists the layers returned by `SettingsPanel::getValueTrace`. Filled in and
+// shown by `bindValueSources`.
+function elementForValueTrace () {
+  const trace = document.createElement('ol')
+  trace.classList.add('setting-value-trace')
+  trace.hidden = true
+  return trace
+}
+
+function elementForValueTraceLayer ({description, value, isEffective}) {
+  const item = document.createElement('li')
+  item.classList.add('setting-value-trace-layer')
+  if (isEffective) item.classList.add('is-effective')
+
+  const descriptionElement = document.createElement('span')
+  descriptionElement.classList.add('setting-value-trace-description')
+  descriptionElement.textContent = description
+  item.appendChild(descriptionElement)
+
+  const valueElement = document.createElement('code')
+  valueElement.classList.add('setting-value-trace-value')
+  valueElement.textContent = value != null ? JSON.stringify(value) : 'Not set'
+  item.appendChild(valueElement)
+
+  return item
+}
+
 function getSettingTitle (keyPath, name) {
   if (name == null) {
     name = ''
@@ -502,7 +851,9 @@ function elementForColor (namespace, name, value) {
 
 function elementForEditor (namespace, name, value) {
   let keyPath = `${namespace}.${name}`
-  let type = _.isNumber(value) ? 'number' : 'string'
+  let schema = atom.config.getSchema(keyPath)
+  let isNumberSchema = schema != null && (schema.type === 'integer' || schema.type === 'number')
+  let type = isNumberSchema || _.isNumber(value) ? 'number' : 'string'
 
   const fragment = document.createDocumentFragment()
 
@@ -531,6 +882,10 @@ function elementForEditor (namespace, name, value) {
   editor.element.setAttribute('type', type)
   editorContainer.appendChild(editor.element)
   controls.appendChild(editorContainer)
+
+  const validationMessage = document.createElement('div')
+  validationMessage.classList.add('setting-validation-message', 'text-error')
+  controls.appendChild(validationMessage)
   fragment.appendChild(controls)
 
   return fragment
@@ -558,19 +913,80 @@ function elementForArray (namespace, name, value) {
   const controls = document.createElement('div')
   controls.classList.add('controls')
 
-  const editorContainer = document.createElement('div')
-  editorContainer.classList.add('editor-container')
+  const arrayEditor = new ArrayEditor({keyPath, schema: atom.config.getSchema(keyPath), value})
+  controls.appendChild(arrayEditor.element)
+  fragment.appendChild(controls)
 
-  const editor = new TextEditor({mini: true})
-  editor.element.id = keyPath
-  editor.element.setAttribute('type', 'array')
-  editorContainer.appendChild(editor.element)
-  controls.appendChild(editorContainer)
+  return fragment
+}
+
+function elementForMap (namespace, name, value) {
+  let keyPath = `${namespace}.${name}`
+
+  const fragment = document.createDocumentFragment()
+
+  const label = document.createElement('label')
+  label.classList.add('control-label')
+
+  const titleDiv = document.createElement('div')
+  titleDiv.classList.add('setting-title')
+  titleDiv.textContent = getSettingTitle(keyPath, name)
+  label.appendChild(titleDiv)
+
+  const descriptionDiv = document.createElement('div')
+  descriptionDiv.classList.add('setting-description')
+  descriptionDiv.innerHTML = getSettingDescription(keyPath)
+  label.appendChild(descriptionDiv)
+  fragment.appendChild(label)
+
+  const controls = document.createElement('div')
+  controls.classList.add('controls')
+
+  // File types are mapped to grammars, so offer the loaded ones as keys
+  const keyOptions = keyPath === 'core.customFileTypes' ? getGrammarOptions() : null
+  const mapEditor = new MapEditor({keyPath, schema: atom.config.getSchema(keyPath), value, keyOptions})
+  controls.appendChild(mapEditor.element)
   fragment.appendChild(controls)
 
   return fragment
 }
 
+function elementForFontPicker (namespace, name, value) {
+  let keyPath = `${namespace}.${name}`
+
+  const fragment = document.createDocumentFragment()
+
+  const label = document.createElement('label')
+  label.classList.add('control-label')
+
+  const titleDiv = document.createElement('div')
+  titleDiv.classList.add('setting-title')
+  titleDiv.textContent = getSettingTitle(keyPath, name)
+  label.appendChild(titleDiv)
+
+  const descriptionDiv = document.createElement('div')
+  descriptionDiv.classList.add('setting-description')
+  descriptionDiv.innerHTML = getSettingDescription(keyPath)
+  label.appendChild(descriptionDiv)
+  fragment.appendChild(label)
+
+  const controls = document.createElement('div')
+  controls.classList.add('controls')
+
+  const fontPicker = new FontPicker({keyPath, value})
+  controls.appendChild(fontPicker.element)
+  fragment.appendChild(controls)
+
+  return fragment
+}
+
+function getGrammarOptions () {
+  return atom.grammars.getGrammars()
+    .filter((grammar) => grammar.scopeName && grammar.name && grammar.scopeName !== 'text.plain.null-grammar')
+    .sort((grammar1, grammar2) => grammar1.name.localeCompare(grammar2.name))
+    .map(({name, scopeName}) => ({value: scopeName, description: `${name} (${scopeName})`}))
+}
+
 function elementForObject (namespace, name, value) {
   if (_.keys(value).length === 0) {
     return document.createDocumentFragment()
@@ -581,6 +997,7 @@ function elementForObject (namespace, name, value) {
 
     const section = document.createElement('section')
     section.classList.add('sub-section')
+    section.dataset.sectionKey = keyPath
     if (isCollapsed) {
       section.classList.add('collapsed')
     }
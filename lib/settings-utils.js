@@ -0,0 +1,342 @@
+const _ = require('underscore-plus')
+
+// Settings that are never rendered by a SettingsPanel because another panel
+// owns them or because they have no meaningful global value.
+const HIDDEN_SETTINGS = {
+  core: [
+    'themes', // Handled in the Themes panel
+    'disabledPackages', // Handled in the Packages panel
+    'uriHandlerRegistration' // Handled in the URI Handler panel
+  ],
+  // There's no global default for these, they are defined by language packages
+  editor: ['commentStart', 'commentEnd', 'increaseIndentPattern', 'decreaseIndentPattern', 'foldEndPattern']
+}
+
+const isHiddenSetting = (namespace, name) => {
+  const hiddenSettings = HIDDEN_SETTINGS[namespace]
+  return hiddenSettings != null && hiddenSettings.includes(name)
+}
+
+// Returns the names of every namespace that has settings: `core`, `editor`
+// and each enabled package with a config schema, sorted by name.
+const getSettingsNamespaces = () => {
+  const packageNames = []
+  for (const pack of atom.packages.getLoadedPackages()) {
+    if (atom.packages.isPackageDisabled(pack.name)) continue
+
+    // Package.activateConfig() is part of the Private package API and should not be used outside of core.
+    if (!atom.packages.isPackageActive(pack.name)) pack.activateConfig()
+    const schema = atom.config.getSchema(pack.name)
+    if (schema && schema.type !== 'any' && !['core', 'editor'].includes(pack.name)) {
+      packageNames.push(pack.name)
+    }
+  }
+
+  return ['core', 'editor'].concat(packageNames.sort())
+}
+
+const getNamespaceTitle = (namespace) => {
+  return _.undasherize(_.uncamelcase(namespace))
+}
+
+// Returns a description of every leaf setting in the given namespace. Grouped
+// settings (objects with declared properties) are walked rather than returned.
+//
+// Each entry has `namespace`, `name` (relative to the namespace), `keyPath`,
+// `title` and `description` keys. Settings that SettingsPanel does not render
+// are skipped unless `includeHidden` is true.
+const getSettingsForNamespace = (namespace, {includeHidden} = {}) => {
+  const settings = []
+  const collect = (name, schema) => {
+    if (schema == null) return
+
+    if (schema.type === 'object' && schema.properties != null && !_.isEmpty(schema.properties)) {
+      for (const key in schema.properties) {
+        collect(name ? `${name}.${key}` : key, schema.properties[key])
+      }
+    } else if (name && (includeHidden || !isHiddenSetting(namespace, name))) {
+      const keyPath = `${namespace}.${name}`
+      settings.push({
+        namespace,
+        name,
+        keyPath,
+        title: schema.title || _.uncamelcase(name).split('.').map(_.capitalize).join(' '),
+        description: schema.description || ''
+      })
+    }
+  }
+
+  collect('', atom.config.getSchema(namespace))
+  return settings
+}
+
+// Returns every setting whose title, description or key path contains all of
+// the whitespace separated keywords in `query`, ignoring case.
+const searchSettings = (query) => {
+  const keywords = query.trim().toLowerCase().split(/\s+/).filter(keyword => keyword)
+  if (keywords.length === 0) return []
+
+  const results = []
+  for (const namespace of getSettingsNamespaces()) {
+    for (const setting of getSettingsForNamespace(namespace)) {
+      const searchString = `${setting.keyPath} ${setting.title} ${setting.description}`.toLowerCase()
+      if (keywords.every(keyword => searchString.indexOf(keyword) !== -1)) {
+        results.push(setting)
+      }
+    }
+  }
+  return results
+}
+
+// Returns the `atom://config` URI of the panel that owns the given namespace.
+const getPanelURIForNamespace = (namespace) => {
+  if (namespace === 'core' || namespace === 'editor') {
+    return `atom://config/${namespace}`
+  } else {
+    return `atom://config/packages/${namespace}`
+  }
+}
+
+// Returns the `atom://config` URI that opens the panel owning the setting and
+// reveals its control, e.g. `atom://config/packages/linter#linter.lintOnChange`.
+const getSettingURI = (keyPath) => {
+  return `${getPanelURIForNamespace(keyPath.split('.')[0])}#${keyPath}`
+}
+
+// Returns a scope descriptor array that matches the given scope selector, e.g.
+// `.source.js .comment` becomes `['.source.js', '.comment']`.
+const scopeForSelector = (scopeSelector) => {
+  return scopeSelector.split(',')[0].trim().split(/\s+/)
+}
+
+// Returns the settings that can be overridden for a scope selector: every
+// `editor` setting, including the ones defined by language packages, and the
+// package settings whose schema declares scoped defaults with `scopes`.
+const getScopeableSettings = () => {
+  const settings = getSettingsForNamespace('editor', {includeHidden: true})
+  for (const namespace of getSettingsNamespaces()) {
+    if (namespace === 'core' || namespace === 'editor') continue
+
+    for (const setting of getSettingsForNamespace(namespace)) {
+      const schema = atom.config.getSchema(setting.keyPath)
+      if (schema && schema.scopes != null) {
+        settings.push(setting)
+      }
+    }
+  }
+  return settings
+}
+
+// Returns every scoped override in the user's config file as a flat list of
+// `{scopeSelector, keyPath, value}` objects.
+const getUserScopedSettings = () => {
+  const userConfigPath = atom.config.getUserConfigPath()
+  const propertiesBySelector = atom.config.scopedSettingsStore.propertiesForSource(userConfigPath)
+
+  const scopedSettings = []
+  for (const scopeSelector in propertiesBySelector) {
+    const flatten = (keyPath, value) => {
+      const schema = atom.config.getSchema(keyPath)
+      const isGroup = schema == null || (schema.type === 'object' && schema.properties != null)
+      if (isGroup && _.isObject(value) && !_.isArray(value)) {
+        for (const key in value) {
+          flatten(`${keyPath}.${key}`, value[key])
+        }
+      } else {
+        scopedSettings.push({scopeSelector, keyPath, value})
+      }
+    }
+
+    const properties = propertiesBySelector[scopeSelector]
+    for (const namespace in properties) {
+      flatten(namespace, properties[namespace])
+    }
+  }
+  return scopedSettings
+}
+
+// Returns every setting whose value in the user's config file differs from its
+// default, including scoped overrides.
+//
+// Each entry has `namespace`, `keyPath`, `scopeSelector` (`null` for global
+// values), `value` and `defaultValue` keys.
+const getModifiedSettings = () => {
+  const userConfigPath = atom.config.getUserConfigPath()
+  const modifiedSettings = []
+
+  for (const namespace of getSettingsNamespaces()) {
+    for (const {keyPath} of getSettingsForNamespace(namespace, {includeHidden: true})) {
+      const value = atom.config.get(keyPath, {sources: [userConfigPath]})
+      const defaultValue = atom.config.get(keyPath, {excludeSources: [userConfigPath]})
+      if (value != null && !_.isEqual(value, defaultValue)) {
+        modifiedSettings.push({namespace, keyPath, scopeSelector: null, value, defaultValue})
+      }
+    }
+  }
+
+  for (const {scopeSelector, keyPath, value} of getUserScopedSettings()) {
+    const defaultValue = atom.config.get(keyPath, {scope: scopeForSelector(scopeSelector), excludeSources: [userConfigPath]})
+    if (!_.isEqual(value, defaultValue)) {
+      const namespace = keyPath.split('.')[0]
+      modifiedSettings.push({namespace, keyPath, scopeSelector, value, defaultValue})
+    }
+  }
+
+  return modifiedSettings
+}
+
+// Returns the value the user's config file sets for the given key path under
+// exactly the given scope selector, or `undefined` if there is none.
+const getUserScopedValue = (keyPath, scopeSelector) => {
+  const userConfigPath = atom.config.getUserConfigPath()
+  const properties = atom.config.scopedSettingsStore.propertiesForSourceAndSelector(userConfigPath, scopeSelector)
+  return _.valueForKeyPath(properties, keyPath)
+}
+
+// Returns the user's config file values, global and scoped, that belong to the
+// given namespace as a list of `{namespace, keyPath, scopeSelector, value}`
+// objects, `scopeSelector` being `null` for global values.
+const getUserSettingsForNamespace = (namespace) => {
+  const userConfigPath = atom.config.getUserConfigPath()
+  const settings = []
+
+  const value = atom.config.get(namespace, {sources: [userConfigPath]})
+  if (value != null) {
+    settings.push({namespace, keyPath: namespace, scopeSelector: null, value})
+  }
+
+  const propertiesBySelector = atom.config.scopedSettingsStore.propertiesForSource(userConfigPath)
+  for (const scopeSelector in propertiesBySelector) {
+    const scopedValue = propertiesBySelector[scopeSelector][namespace]
+    if (scopedValue != null) {
+      settings.push({namespace, keyPath: namespace, scopeSelector, value: scopedValue})
+    }
+  }
+  return settings
+}
+
+// Returns the keys of the user's config file that no schema describes, e.g.
+// the settings of uninstalled packages, renamed options and typos.
+//
+// Each entry has `namespace`, `keyPath`, `scopeSelector` (`null` for global
+// values), `value` and `reason` keys. `reason` is `'no-package'` when the
+// whole namespace is unknown and `'unknown-key'` otherwise.
+//
+// Namespaces of installed packages whose schema is not loaded, such as some
+// disabled packages, are skipped since their keys cannot be checked.
+const getOrphanedSettings = () => {
+  const userConfigPath = atom.config.getUserConfigPath()
+  const availablePackageNames = atom.packages.getAvailablePackageNames()
+  const orphanedSettings = []
+
+  // Loads the schemas of the enabled packages that are not active yet
+  getSettingsNamespaces()
+
+  const collect = (settings, scopeSelector) => {
+    for (const namespace in settings) {
+      const schema = atom.config.getSchema(namespace)
+      if (schema == null || schema.type === 'any') {
+        if (!availablePackageNames.includes(namespace)) {
+          orphanedSettings.push({namespace, keyPath: namespace, scopeSelector, value: settings[namespace], reason: 'no-package'})
+        }
+        continue
+      }
+
+      const walk = (keyPath, value, schema) => {
+        if (schema.type !== 'object' || schema.properties == null || !_.isObject(value) || _.isArray(value)) return
+
+        for (const key in value) {
+          const childKeyPath = `${keyPath}.${key}`
+          const childSchema = schema.properties[key] || (_.isObject(schema.additionalProperties) ? schema.additionalProperties : null)
+          if (childSchema == null) {
+            orphanedSettings.push({namespace, keyPath: childKeyPath, scopeSelector, value: value[key], reason: 'unknown-key'})
+          } else {
+            walk(childKeyPath, value[key], childSchema)
+          }
+        }
+      }
+      walk(namespace, settings[namespace], schema)
+    }
+  }
+
+  // Config::settings holds the global values of the user's config file
+  collect(atom.config.settings, null)
+  const propertiesBySelector = atom.config.scopedSettingsStore.propertiesForSource(userConfigPath)
+  for (const scopeSelector in propertiesBySelector) {
+    collect(propertiesBySelector[scopeSelector], scopeSelector)
+  }
+  return orphanedSettings
+}
+
+// Turns `{editor: {fontSize: 14}}` into `{'editor.fontSize': 14}`. Arrays and
+// other non-plain objects such as colors are treated as values.
+const flattenSettings = (settings, prefix = '', result = {}) => {
+  if (settings == null) return result
+
+  for (const key in settings) {
+    const keyPath = prefix ? `${prefix}.${key}` : key
+    const value = settings[key]
+    if (value != null && value.constructor === Object) {
+      flattenSettings(value, keyPath, result)
+    } else {
+      result[keyPath] = value
+    }
+  }
+  return result
+}
+
+// Returns a scheduler that calls `panel.refresh()` once changes stop coming
+// for `wait` milliseconds, for panels whose contents depend on every
+// namespace and are too costly to rebuild on each config change. A panel
+// that is hidden by then is refreshed when it is shown again instead, by
+// calling the scheduler's `didShow()` from its `show()`.
+const createRefreshScheduler = (panel, wait = 300) => {
+  let isStale = false
+  let isDisposed = false
+
+  const refreshIfVisible = _.debounce(() => {
+    if (isDisposed) return
+    if (panel.element.offsetParent == null) {
+      isStale = true
+    } else {
+      isStale = false
+      panel.refresh()
+    }
+  }, wait)
+
+  return {
+    schedule () {
+      refreshIfVisible()
+    },
+
+    didShow () {
+      if (isStale && !isDisposed) {
+        isStale = false
+        panel.refresh()
+      }
+    },
+
+    dispose () {
+      isDisposed = true
+    }
+  }
+}
+
+module.exports = {
+  isHiddenSetting,
+  getSettingsNamespaces,
+  getNamespaceTitle,
+  getSettingsForNamespace,
+  searchSettings,
+  getPanelURIForNamespace,
+  getSettingURI,
+  scopeForSelector,
+  getScopeableSettings,
+  getUserScopedSettings,
+  getUserScopedValue,
+  getModifiedSettings,
+  getUserSettingsForNamespace,
+  getOrphanedSettings,
+  flattenSettings,
+  createRefreshScheduler
+}
@@ -4,7 +4,7 @@
 import path from 'path'
 import etch from 'etch'
 import _ from 'underscore-plus'
-import {CompositeDisposable, Disposable} from 'atom'
+import {CompositeDisposable, Disposable, TextEditor} from 'atom'
 
 import GeneralPanel from './general-panel'
 import EditorPanel from './editor-panel'
@@ -15,14 +15,35 @@ import ThemesPanel from './themes-panel'
 import InstalledPackagesPanel from './installed-packages-panel'
 import UpdatesPanel from './updates-panel'
 import UriHandlerPanel from './uri-handler-panel'
+import SearchSettingsPanel from './search-settings-panel'
+import ModifiedSettingsPanel from './modified-settings-panel'
+import ScopedSettingsPanel from './scoped-settings-panel'
+import ConfigCleanupPanel from './config-cleanup-panel'
+import ProfilesPanel from './profiles-panel'
+import SettingsHistoryView from './settings-history-view'
 import PackageManager from './package-manager'
 
+// Sections that can be collapsed are identified across sessions by their
+// `data-section-key` or, failing that, by their class names.
+function getSectionKey (section) {
+  if (section.dataset.sectionKey) return section.dataset.sectionKey
+  return Array.from(section.classList).filter(name => name !== 'sub-section' && name !== 'collapsed').sort().join(' ')
+}
+
+function getCollapsibleSections (element) {
+  return Array.from(element.querySelectorAll('.sub-section')).filter(section => {
+    return section.querySelector('.sub-section-heading.has-items') && getSectionKey(section)
+  })
+}
+
 export default class SettingsView {
-  constructor ({uri, packageManager, snippetsProvider, activePanel} = {}) {
+  constructor ({uri, packageManager, profileManager, snippetsProvider, activePanel, panelStates} = {}) {
     this.uri = uri
     this.packageManager = packageManager
+    this.profileManager = profileManager
     this.snippetsProvider = snippetsProvider
     this.deferredPanel = activePanel
+    this.panelStates = Object.assign({}, panelStates)
     this.destroyed = false
 
     etch.initialize(this)
@@ -35,6 +56,9 @@ export default class SettingsView {
       'core:move-to-top': () => { this.scrollToTop() },
       'core:move-to-bottom': () => { this.scrollToBottom() }
     }))
+    this.disposables.add(this.refs.searchEditor.onDidStopChanging(() => {
+      this.searchSettings(this.refs.searchEditor.getText())
+    }))
     process.nextTick(() => this.initializePanels())
   }
 
@@ -42,6 +66,8 @@ export default class SettingsView {
 
   destroy () {
     this.destroyed = true
+    clearTimeout(this.revealSettingTimeout)
+    clearTimeout(this.restoreScrollTopTimeout)
     this.disposables.dispose()
     for (let name in this.panelsByName) {
       const panel = this.panelsByName[name]
@@ -55,12 +81,17 @@ export default class SettingsView {
     return (
       <div className='settings-view pane-item' tabIndex='-1'>
         <div className='config-menu' ref='sidebar'>
+          <div className='editor-container settings-search'>
+            <TextEditor ref='searchEditor' mini={true} placeholderText='Search settings' />
+          </div>
           <ul className='panels-menu nav nav-pills nav-stacked' ref='panelMenu'>
             <div className='panel-menu-separator' ref='menuSeparator'></div>
           </ul>
           <div className='button-area'>
             <button className='btn btn-default icon icon-link-external' ref='openDotAtom'>Open Config Folder</button>
+            <button className='btn btn-default icon icon-history' ref='historyButton' onclick={() => { this.toggleHistory() }}>History</button>
           </div>
+          <SettingsHistoryView ref='historyView' />
         </div>
         {/* The tabindex attr below ensures that clicks in a panel item won't
         cause this view to gain focus. This is important because when this view
@@ -111,6 +142,10 @@ export default class SettingsView {
 
     this.addCorePanel('Core', 'settings', () => new GeneralPanel())
     this.addCorePanel('Editor', 'code', () => new EditorPanel())
+    this.addCorePanel('Modified', 'diff-modified', () => new ModifiedSettingsPanel())
+    this.addCorePanel('Scoped', 'telescope', () => new ScopedSettingsPanel())
+    this.addCorePanel('Cleanup', 'trashcan', () => new ConfigCleanupPanel())
+    this.addCorePanel('Profiles', 'versions', () => new ProfilesPanel(this.profileManager))
     if (atom.config.getSchema('core.uriHandlerRegistration').type !== 'any') {
       // "feature flag" based on core support for URI handling
       this.addCorePanel('URI Handling', 'link', () => new UriHandlerPanel())
@@ -124,6 +159,7 @@ export default class SettingsView {
     this.addCorePanel('Themes', 'paintcan', () => new ThemesPanel(this, this.packageManager))
     this.addCorePanel('Updates', 'cloud-download', () => new UpdatesPanel(this, this.packageManager))
     this.addCorePanel('Install', 'plus', () => new InstallPanel(this, this.packageManager))
+    this.addPanel('Search', () => new SearchSettingsPanel())
 
     this.showDeferredPanel()
 
@@ -137,14 +173,69 @@ export default class SettingsView {
   }
 
   serialize () {
+    const panelStates = Object.assign({}, this.panelStates)
+    const activePanel = this.activePanel ? this.getPanel(this.activePanel.name) : null
+    if (activePanel) {
+      panelStates[this.activePanel.name] = this.serializePanel(activePanel)
+    }
+
     return {
       deserializer: 'SettingsView',
       version: 2,
       activePanel: this.activePanel != null ? this.activePanel : this.deferredPanel,
+      panelStates,
       uri: this.uri
     }
   }
 
+  // Returns what it takes to bring `panel` back the way it was left: its
+  // scroll position, which of its sections are collapsed and whatever the
+  // panel itself returns from `serialize`, such as its filter text.
+  serializePanel (panel) {
+    const state = Object.assign({}, panel.serialize ? panel.serialize() : null)
+    state.scrollTop = panel.element.scrollTop
+    state.collapsedSections = {}
+    for (const section of getCollapsibleSections(panel.element)) {
+      state.collapsedSections[getSectionKey(section)] = section.classList.contains('collapsed')
+    }
+    return state
+  }
+
+  restorePanel (name, panel) {
+    const state = this.panelStates[name]
+    if (state == null) return
+    delete this.panelStates[name]
+
+    if (panel.restoreState) {
+      panel.restoreState(state)
+    }
+
+    if (state.collapsedSections) {
+      for (const section of getCollapsibleSections(panel.element)) {
+        const collapsed = state.collapsedSections[getSectionKey(section)]
+        if (collapsed != null) {
+          section.classList.toggle('collapsed', collapsed)
+        }
+      }
+    }
+
+    if (state.scrollTop) {
+      this.restoreScrollTop(panel, state.scrollTop)
+    }
+  }
+
+  // Panels such as package details render their contents later, so this
+  // retries for a while until the panel is tall enough to scroll that far.
+  restoreScrollTop (panel, scrollTop, attemptsLeft = 20) {
+    clearTimeout(this.restoreScrollTopTimeout)
+    if (this.destroyed) return
+
+    panel.element.scrollTop = scrollTop
+    if (panel.element.scrollTop < scrollTop && attemptsLeft > 0) {
+      this.restoreScrollTopTimeout = setTimeout(() => this.restoreScrollTop(panel, scrollTop, attemptsLeft - 1), 100)
+    }
+  }
+
   getPackages () {
     let bundledPackageMetadataCache
     let left
@@ -192,6 +283,29 @@ export default class SettingsView {
     return this.packages
   }
 
+  // Shows the settings matching `query` across every namespace, or returns to
+  // the previously active panel when the query is cleared.
+  searchSettings (query) {
+    if (query.trim() === '') {
+      if (this.activePanel && this.activePanel.name === 'Search') {
+        const {name, options} = this.panelBeforeSearch || {name: 'Core'}
+        this.showPanel(name, options)
+      }
+    } else {
+      if (!this.activePanel || this.activePanel.name !== 'Search') {
+        this.panelBeforeSearch = this.activePanel
+      }
+      this.showPanel('Search', {query})
+    }
+  }
+
+  // Shows or hides the drawer listing recent setting changes.
+  toggleHistory () {
+    return this.refs.historyView.toggle().then(() => {
+      this.refs.historyButton.classList.toggle('selected', this.refs.historyView.isVisible())
+    })
+  }
+
   addCorePanel (name, iconName, panel) {
     const panelMenuItem = document.createElement('li')
     panelMenuItem.name = name
@@ -216,6 +330,10 @@ export default class SettingsView {
     }
   }
 
+  getPanel (name) {
+    return this.panelsByName ? this.panelsByName[name] : null
+  }
+
   getOrCreatePanel (name, options) {
     let panel = this.panelsByName ? this.panelsByName[name] : null
     // These nested conditionals are not great but I feel like it's the most
@@ -284,18 +402,59 @@ export default class SettingsView {
   // * `options` {Object} an options hash. Will be passed to `beforeShow()` on
   //   the panel. Options may include (but are not limited to):
   //   * `uri` the URI the panel was launched from
+  //   * `keyPath` a setting to scroll to and highlight
   showPanel (name, options) {
     const panel = this.getOrCreatePanel(name, options)
     if (panel) {
+      // Hidden panels lose their scroll position, so remember it for when the
+      // panel is shown again
+      const previousPanel = this.activePanel ? this.getPanel(this.activePanel.name) : null
+      if (previousPanel && previousPanel !== panel) {
+        this.panelStates[this.activePanel.name] = this.serializePanel(previousPanel)
+      }
+
       this.appendPanel(panel, options)
       this.makePanelMenuActive(name)
       this.setActivePanel(name, options)
       this.deferredPanel = null
+      this.restorePanel(name, panel)
+      if (options && options.keyPath) {
+        this.revealSetting(panel, options.keyPath)
+      }
     } else {
       this.deferredPanel = {name, options}
     }
   }
 
+  // Scrolls the control of the setting `keyPath` into view, expanding the
+  // collapsed sections around it, and briefly highlights it. Panels such as
+  // package details render their settings later, so this retries for a while.
+  revealSetting (panel, keyPath, attemptsLeft = 20) {
+    clearTimeout(this.revealSettingTimeout)
+    if (this.destroyed) return
+
+    const control = panel.element.querySelector(`#${CSS.escape(keyPath)}`)
+    if (control == null) {
+      if (attemptsLeft > 0) {
+        this.revealSettingTimeout = setTimeout(() => this.revealSetting(panel, keyPath, attemptsLeft - 1), 100)
+      }
+      return
+    }
+
+    let collapsedSection = control.closest('.collapsed')
+    while (collapsedSection) {
+      collapsedSection.classList.remove('collapsed')
+      collapsedSection = collapsedSection.closest('.collapsed')
+    }
+
+    const controlGroup = control.closest('.control-group') || control
+    controlGroup.scrollIntoView()
+    controlGroup.classList.remove('is-highlighted')
+    // Force a reflow so the highlight animation restarts
+    void controlGroup.offsetWidth
+    controlGroup.classList.add('is-highlighted')
+  }
+
   appendPanel (panel, options) {
     for (let i = 0; i < this.refs.panels.children.length; i++) {
       this.refs.panels.children[i].style.display = 'none'
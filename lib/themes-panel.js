@@ -84,6 +84,16 @@ export default class ThemesPanel extends CollapsibleSectionPanel {
     this.element.style.display = ''
   }
 
+  serialize () {
+    return {filterText: this.refs.filterEditor.getText()}
+  }
+
+  restoreState ({filterText}) {
+    if (filterText) {
+      this.refs.filterEditor.setText(filterText)
+    }
+  }
+
   destroy () {
     this.disposables.dispose()
     return etch.destroy(this)
@@ -242,6 +252,8 @@ export default class ThemesPanel extends CollapsibleSectionPanel {
       // TODO show empty mesage per section
 
       this.updateSectionCounts()
+
+      this.matchPackages()
     }).catch((error) => {
       this.refs.themeErrors.appendChild(new ErrorView(this.packageManager, error).element)
     })
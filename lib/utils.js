@@ -1,3 +1,6 @@
+const fs = require('fs')
+const path = require('path')
+
 const ownerFromRepository = repository => {
   if (!repository) return ''
 
@@ -37,4 +40,19 @@ const packageComparatorAscending = (left, right) => {
   }
 }
 
-module.exports = {ownerFromRepository, packageComparatorAscending}
+// Is the package being developed locally, either from `~/.atom/dev/packages`
+// or linked into `~/.atom/packages` with `apm link`?
+const isDevelopmentPackage = pack => {
+  if (!pack || !pack.path) return false
+
+  const configDirPath = atom.getConfigDirPath()
+  if (pack.path.startsWith(path.join(configDirPath, 'dev', 'packages', path.sep))) return true
+
+  try {
+    return fs.lstatSync(path.join(configDirPath, 'packages', pack.name)).isSymbolicLink()
+  } catch (error) {
+    return false
+  }
+}
+
+module.exports = {ownerFromRepository, packageComparatorAscending, isDevelopmentPackage}
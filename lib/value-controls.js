@@ -0,0 +1,150 @@
+/** @babel */
+/** @jsx etch.dom */
+
+import etch from 'etch'
+import _ from 'underscore-plus'
+
+// Helpers shared by the structured editors (ArrayEditor and MapEditor) to
+// render a typed input for a single value described by a schema.
+
+// Returns a schema describing `value`, for values whose setting does not
+// declare one.
+export function inferSchema (value) {
+  if (_.isArray(value)) {
+    return {type: 'array'}
+  } else if (_.isBoolean(value)) {
+    return {type: 'boolean'}
+  } else if (_.isNumber(value)) {
+    return {type: 'number'}
+  } else if (_.isObject(value)) {
+    return {type: 'object'}
+  } else {
+    return {type: 'string'}
+  }
+}
+
+// Returns the value a newly added item or entry starts with.
+export function defaultValueForSchema (schema) {
+  if (schema.default !== undefined) {
+    return _.deepClone(schema.default)
+  } else if (schema.enum) {
+    return enumOptions(schema)[0].value
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return false
+    case 'integer':
+    case 'number':
+      return schema.minimum != null ? schema.minimum : 0
+    case 'array':
+      return []
+    case 'object': {
+      const value = {}
+      for (const key in schema.properties) {
+        const propertyValue = defaultValueForSchema(schema.properties[key])
+        if (propertyValue !== '') value[key] = propertyValue
+      }
+      return value
+    }
+    default:
+      return ''
+  }
+}
+
+function enumOptions (schema) {
+  return schema.enum.map((option) => (_.isObject(option) && option.hasOwnProperty('value') ? option : {value: option, description: String(option)}))
+}
+
+function inferProperties (value) {
+  const properties = {}
+  for (const key in value) {
+    properties[key] = inferSchema(value[key])
+  }
+  return properties
+}
+
+// Renders an input for `value` matching `schema`. Objects get a field per
+// property; nested lists are edited as JSON.
+//
+// * `onChange` is called with the new value once the input changes.
+// * `onError` is called with a message when the input cannot be parsed.
+export function renderValueControl (value, schema, {onChange, onError}) {
+  if (schema.enum) {
+    const options = enumOptions(schema)
+    return (
+      <select className='form-control' onchange={(event) => { onChange(options[event.target.selectedIndex].value) }}>
+        {options.map((option) => (
+          <option selected={_.isEqual(option.value, value)}>{option.description}</option>
+        ))}
+      </select>
+    )
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return (
+        <input
+          type='checkbox'
+          className='input-checkbox'
+          checked={value === true}
+          onchange={(event) => { onChange(event.target.checked) }} />
+      )
+    case 'integer':
+    case 'number':
+      return (
+        <input
+          type='number'
+          className='input-number'
+          value={value == null ? '' : String(value)}
+          step={schema.type === 'integer' ? '1' : 'any'}
+          onchange={(event) => { onChange(event.target.value === '' ? undefined : Number(event.target.value)) }} />
+      )
+    case 'object':
+      return renderObjectControl(value || {}, schema, {onChange, onError})
+    case 'array':
+      return (
+        <input
+          type='text'
+          className='input-text structured-editor-json'
+          value={JSON.stringify(value || [])}
+          onchange={(event) => {
+            try {
+              onChange(JSON.parse(event.target.value))
+            } catch (error) {
+              onError('Must be a JSON list, e.g. ["a", "b"].')
+            }
+          }} />
+      )
+    default:
+      return (
+        <input
+          type='text'
+          className='input-text'
+          value={value == null ? '' : String(value)}
+          onchange={(event) => { onChange(event.target.value) }} />
+      )
+  }
+}
+
+function renderObjectControl (value, schema, {onChange, onError}) {
+  const properties = _.isEmpty(schema.properties) ? inferProperties(value) : schema.properties
+  return (
+    <div className='structured-editor-object'>
+      {Object.keys(properties).map((key) => {
+        const propertySchema = properties[key]
+        const didChangeProperty = (propertyValue) => {
+          const newValue = Object.assign({}, value, {[key]: propertyValue})
+          if (propertyValue === undefined) delete newValue[key]
+          onChange(newValue)
+        }
+        return (
+          <label className='structured-editor-property'>
+            <span className='structured-editor-property-name'>{propertySchema.title || _.uncamelcase(key)}</span>
+            {renderValueControl(value[key], propertySchema, {onChange: didChangeProperty, onError})}
+          </label>
+        )
+      })}
+    </div>
+  )
+}